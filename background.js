@@ -30,6 +30,45 @@ chrome.action.onClicked.addListener((tab) => {
   }
 });
 
+// 默认设置，用户修改后保存在chrome.storage.sync中
+const DEFAULT_SETTINGS = {
+  filenameTemplate: '{name}.{ext}',
+  // zip中的目录结构：none、type、host、elementType、urlPath
+  zipFolderStructure: 'none',
+  // 在zip中附带manifest.json和index.csv
+  zipIncludeManifest: false,
+  // zip超过该大小（MB）时拆分为多个分卷，0表示不拆分
+  zipPartSizeMB: 256,
+  // 批量下载的并发数、每个主机的并发上限和失败重试次数
+  downloadConcurrency: 4,
+  downloadPerHostLimit: 2,
+  downloadRetries: 2,
+  // 下载时转换格式：original、png、jpeg、webp；JPEG/WebP质量（1-100）；SVG栅格化倍数
+  convertFormat: 'original',
+  convertQuality: 90,
+  svgRasterScale: 2,
+  // 下载时无损移除EXIF、XMP、ICC、IPTC和注释等元数据
+  stripMetadata: false,
+  // URL标准化规则：全局移除的参数（支持结尾*通配符）、按主机的参数白名单/黑名单、正则重写
+  urlNormalizationRules: {
+    removeParams: ['utm_*', 'gclid', 'fbclid', 'msclkid', 'mc_eid'],
+    hosts: [],
+    rewrites: []
+  }
+};
+
+// zip清单文件名，图片文件不能占用
+const ZIP_MANIFEST_FILES = ['manifest.json', 'index.csv'];
+
+// 进行中的图片请求，按请求ID记录以便取消
+const imageFetchControllers = new Map();
+
+// 为请求添加Referer/Cookie的会话规则ID
+let nextHeaderRuleId = 1;
+
+// 详情面板读取图片文件头时最多读取的字节数
+const IMAGE_HEADER_MAX_BYTES = 512 * 1024;
+
 /**
  * 处理来自content script和sidebar的消息
  */
@@ -58,22 +97,10 @@ const actionHandlers = {
     // 从sidebar接收请求，向content script发送消息提取图片
     const tabId = request.tabId;
     if (tabId) {
-      // 直接尝试注入content script，确保它存在
-      chrome.scripting.executeScript({
-        target: { tabId: tabId },
-        files: ['content.js']
-      }).then(() => {
-        // 注入后发送消息
-        chrome.tabs.sendMessage(tabId, { action: 'extractImages' }, (response) => {
-          // 忽略错误，直接检查响应
-          if (response && response.images) {
-            sendResponse({ images: response.images });
-          } else {
-            sendResponse({ images: [] });
-          }
-        });
+      extractImagesFromAllFrames(tabId).then((images) => {
+        sendResponse({ images: images });
       }).catch((error) => {
-        console.error('注入content script失败:', error);
+        console.error('提取图片失败:', error);
         sendResponse({ images: [] });
       });
       return true; // 保持消息通道开放
@@ -82,6 +109,186 @@ const actionHandlers = {
     }
   },
 
+  /**
+   * 处理扫描样式表图片请求
+   */
+  scanStylesheets: (request, sender, sendResponse) => {
+    const tabId = request.tabId;
+    if (tabId) {
+      scanStylesheetsInAllFrames(tabId).then((images) => {
+        sendResponse({ images: images });
+      }).catch((error) => {
+        console.error('扫描样式表失败:', error);
+        sendResponse({ images: [], error: error.message });
+      });
+      return true; // 保持消息通道开放
+    } else {
+      sendResponse({ images: [] });
+    }
+  },
+
+  /**
+   * 处理获取跨域样式表请求（content script无法读取跨域样式表的规则）
+   * 不带Cookie请求，避免网页借此读取需要登录的跨域资源
+   */
+  fetchStylesheet: (request, sender, sendResponse) => {
+    if (!sender.tab || !/^https?:/.test(request.url || '')) {
+      sendResponse({ success: false, error: '缺少必要参数' });
+      return;
+    }
+    fetch(request.url, { credentials: 'omit' }).then((response) => {
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      return response.text();
+    }).then((text) => {
+      sendResponse({ success: true, text: text });
+    }).catch((error) => {
+      console.warn('获取样式表失败:', request.url, error);
+      sendResponse({ success: false, error: error.message });
+    });
+    return true; // 保持消息通道开放
+  },
+
+  /**
+   * 处理检测SVG精灵图请求，由content script在页面环境中获取SVG内容
+   */
+  getSvgSprites: (request, sender, sendResponse) => {
+    const tabId = request.tabId;
+    if (!tabId || !request.urls || request.urls.length === 0) {
+      sendResponse({ sprites: {} });
+      return;
+    }
+    chrome.tabs.sendMessage(tabId, {
+      action: 'getSvgSprites',
+      urls: request.urls
+    }, { frameId: 0 }, (response) => {
+      if (chrome.runtime.lastError || !response) {
+        sendResponse({ sprites: {} });
+      } else {
+        sendResponse({ sprites: response.sprites || {} });
+      }
+    });
+    return true; // 保持消息通道开放
+  },
+
+  /**
+   * 处理获取图片传输信息请求（页面的Resource Timing中没有大小时补查）
+   */
+  getTransferInfo: (request, sender, sendResponse) => {
+    // 跨域请求任意URL只对扩展自身页面开放
+    if (!isExtensionPageSender(sender)) {
+      sendResponse({ success: false, error: '不允许的请求来源' });
+      return;
+    }
+    if (!/^https?:/.test(request.url || '')) {
+      sendResponse({ success: false, error: '缺少必要参数' });
+      return;
+    }
+    fetchTransferInfo(request.url).then((info) => {
+      sendResponse({ success: true, info: info });
+    }).catch((error) => {
+      console.warn('获取图片传输信息失败:', request.url, error);
+      sendResponse({ success: false, error: error.message });
+    });
+    return true; // 保持消息通道开放
+  },
+
+  /**
+   * 处理读取图片文件头请求（详情面板用），由图片所在frame的content script解析尺寸和EXIF/XMP/IPTC
+   * 页面中跨域读取失败时，由background读取文件开头的字节交给content script解析；
+   * 只接受侧边栏的请求，content script不能借此读取任意URL
+   */
+  getImageHeader: (request, sender, sendResponse) => {
+    if (!isExtensionPageSender(sender)) {
+      sendResponse({ success: false, error: '不允许的请求来源' });
+      return;
+    }
+    const tabId = request.tabId;
+    if (!tabId || !request.url) {
+      sendResponse({ success: false, error: '缺少必要参数' });
+      return;
+    }
+    const frameId = typeof request.frameId === 'number' ? request.frameId : 0;
+    readImageHeaderInFrame(tabId, frameId, request.url).then((response) => {
+      sendResponse(response);
+    }).catch((error) => {
+      console.warn('读取图片文件头失败:', request.url, error);
+      sendResponse({ success: false, error: error.message });
+    });
+    return true; // 保持消息通道开放
+  },
+
+  /**
+   * 处理定位/高亮图片元素请求，转发给图片所在frame的content script
+   */
+  locateImage: (request, sender, sendResponse) => {
+    const tabId = request.tabId;
+    if (!tabId) {
+      sendResponse({ success: false, error: '缺少必要参数' });
+      return;
+    }
+    chrome.tabs.sendMessage(tabId, {
+      action: 'locateImage',
+      mode: request.mode,
+      elementId: request.elementId,
+      src: request.src,
+      selector: request.selector
+    }, { frameId: typeof request.frameId === 'number' ? request.frameId : 0 }, (response) => {
+      if (chrome.runtime.lastError || !response) {
+        sendResponse({ success: false, error: '未收到响应' });
+      } else {
+        sendResponse(response);
+      }
+    });
+    return true; // 保持消息通道开放
+  },
+
+  /**
+   * 处理读取图片来源元素信息（选择器、显示尺寸）的请求，转发给图片所在frame的content script
+   */
+  getImageElementInfo: (request, sender, sendResponse) => {
+    const tabId = request.tabId;
+    if (!tabId) {
+      sendResponse({ success: false, error: '缺少必要参数' });
+      return;
+    }
+    chrome.tabs.sendMessage(tabId, {
+      action: 'getImageElementInfo',
+      elementId: request.elementId,
+      src: request.src
+    }, { frameId: typeof request.frameId === 'number' ? request.frameId : 0 }, (response) => {
+      if (chrome.runtime.lastError || !response) {
+        sendResponse({ success: false, error: '未收到响应' });
+      } else {
+        sendResponse(response);
+      }
+    });
+    return true; // 保持消息通道开放
+  },
+
+  /**
+   * 处理导出内联svg的请求，转发给图片所在frame的content script序列化
+   */
+  getInlineSvgData: (request, sender, sendResponse) => {
+    const tabId = request.tabId;
+    if (!tabId || !request.src) {
+      sendResponse({ success: false, error: '缺少必要参数' });
+      return;
+    }
+    chrome.tabs.sendMessage(tabId, {
+      action: 'getInlineSvgData',
+      src: request.src
+    }, { frameId: typeof request.frameId === 'number' ? request.frameId : 0 }, (response) => {
+      if (chrome.runtime.lastError || !response) {
+        sendResponse({ success: false, error: '未收到响应' });
+      } else {
+        sendResponse(response);
+      }
+    });
+    return true; // 保持消息通道开放
+  },
+
   /**
    * 处理获取缓存图片请求
    */
@@ -95,11 +302,12 @@ const actionHandlers = {
         target: { tabId: tabId },
         files: ['content.js']
       }).then(() => {
-        // 注入后发送消息
+        // 注入后发送消息，已知图片所在frame时只发给该frame
+        const options = typeof request.frameId === 'number' ? { frameId: request.frameId } : {};
         chrome.tabs.sendMessage(tabId, { 
           action: 'getCachedImage', 
           url: url 
-        }, (response) => {
+        }, options, (response) => {
           // 忽略错误，直接检查响应
           if (response) {
             sendResponse(response);
@@ -117,12 +325,87 @@ const actionHandlers = {
     }
   },
 
+  /**
+   * 处理content script推送的图片索引增量更新
+   */
+  updateImageIndex: (request, sender, sendResponse) => {
+    const tabId = sender.tab && sender.tab.id;
+    if (!tabId) {
+      sendResponse({ success: false, error: '缺少标签页信息' });
+      return;
+    }
+    // 子frame的整体替换只能合并进索引，不能覆盖主frame的结果；
+    // 主frame的整体替换也只替换主frame自己的图片，保留子frame的结果
+    const isTopFrame = sender.frameId === 0;
+    const mode = !isTopFrame && request.mode === 'replace' ? 'upsert' : request.mode;
+    const images = tagImagesWithFrame(request.images || [], sender.frameId);
+    applyImageIndexUpdate(tabId, mode, images, isTopFrame ? request.pageUrl : '', sender.frameId).then((index) => {
+      sendResponse({ success: true, count: index.images.length });
+    }).catch((error) => {
+      console.error('更新图片索引失败:', error);
+      sendResponse({ success: false, error: error.message });
+    });
+    return true; // 保持消息通道开放
+  },
+
+  /**
+   * 处理content script增量提取得到的新增/移除图片
+   */
+  imagesDelta: (request, sender, sendResponse) => {
+    const tabId = sender.tab && sender.tab.id;
+    if (!tabId) {
+      sendResponse({ success: false, error: '缺少标签页信息' });
+      return;
+    }
+    const pageUrl = sender.frameId === 0 ? request.pageUrl : '';
+    const addedImages = tagImagesWithFrame(request.added || [], sender.frameId);
+    const removedImages = tagImagesWithFrame((request.removed || []).map(src => ({ src })), sender.frameId);
+    applyImageIndexUpdate(tabId, 'upsert', addedImages, pageUrl)
+      .then(() => applyImageIndexUpdate(tabId, 'remove', removedImages, pageUrl))
+      .then((index) => {
+        sendResponse({ success: true, count: index.images.length });
+      }).catch((error) => {
+        console.error('应用图片增量失败:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true; // 保持消息通道开放
+  },
+
+  /**
+   * 处理获取图片索引请求（sidebar打开时立即渲染）
+   */
+  getImageIndex: (request, sender, sendResponse) => {
+    const tabId = request.tabId;
+    if (!tabId) {
+      sendResponse({ images: [] });
+      return;
+    }
+    readImageIndex(tabId).then((index) => {
+      sendResponse({ images: index.images, pageUrl: index.pageUrl, updatedAt: index.updatedAt });
+    }).catch((error) => {
+      console.error('读取图片索引失败:', error);
+      sendResponse({ images: [] });
+    });
+    return true; // 保持消息通道开放
+  },
+
   /**
    * 处理图片下载请求
    */
   downloadImage: (request, sender, sendResponse) => {
-    // 处理图片下载请求
-    downloadImage(request.url, request.filename).then(() => {
+    // 下载失败时会经fetchImageData带Cookie取图，同样只对扩展自身页面开放
+    if (!isExtensionPageSender(sender)) {
+      sendResponse({ success: false, error: '不允许的请求来源' });
+      return;
+    }
+    // 处理图片下载请求，传入图片信息时按文件名模板命名
+    const filenamePromise = !request.filename && request.image
+      ? getDownloadFilenames([request.image], request.tabId).then(filenames => filenames[0])
+      : Promise.resolve(request.filename);
+    const source = { tabId: request.tabId, frameId: request.frameId };
+    // 批量下载传入saveAs: false，不逐张弹出另存为对话框
+    const saveAs = request.saveAs !== false;
+    filenamePromise.then(filename => downloadImage(request.url, filename, source, saveAs)).then(() => {
       sendResponse({ success: true });
     }).catch((error) => {
       console.error('下载图片失败:', error);
@@ -132,26 +415,96 @@ const actionHandlers = {
   },
 
   /**
-   * 处理批量下载请求
+   * 处理获取图片数据请求（跨域安全的统一请求入口）
    */
-  downloadAllImages: (request, sender, sendResponse) => {
-    // 处理批量下载请求（逐个下载）
-    const images = request.images;
-    if (images && images.length > 0) {
-      downloadAllImagesAsZip(images).then((result) => {
-        sendResponse({ 
-          success: result.success, 
-          successCount: result.successCount, 
-          errorCount: result.errorCount 
-        });
-      }).catch((error) => {
-        console.error('批量下载失败:', error);
-        sendResponse({ success: false, error: error.message });
-      });
-    } else {
-      sendResponse({ success: false, error: '没有图片可下载' });
+  fetchImage: (request, sender, sendResponse) => {
+    // 带Cookie的跨域取图只对扩展自身页面开放，网页中的content script不能借此读取任意URL
+    if (!isExtensionPageSender(sender)) {
+      sendResponse({ success: false, error: '不允许的请求来源' });
+      return;
+    }
+    if (!request.url) {
+      sendResponse({ success: false, error: '缺少必要参数' });
+      return;
+    }
+    const controller = new AbortController();
+    if (request.requestId) {
+      imageFetchControllers.set(request.requestId, controller);
     }
+    fetchImageData(request.url, {
+      tabId: request.tabId,
+      frameId: request.frameId,
+      pageUrl: request.pageUrl,
+      skipNetwork: request.skipNetwork,
+      signal: controller.signal
+    }).then((result) => {
+      sendResponse({ success: true, ...result });
+    }).catch((error) => {
+      console.warn('获取图片数据失败:', request.url, error);
+      sendResponse({ success: false, error: error.message });
+    }).finally(() => {
+      imageFetchControllers.delete(request.requestId);
+    });
     return true; // 保持消息通道开放
+  },
+
+  /**
+   * 处理取消图片请求
+   */
+  abortFetch: (request, sender, sendResponse) => {
+    const controller = imageFetchControllers.get(request.requestId);
+    if (controller) {
+      controller.abort();
+    }
+    sendResponse({ success: true });
+  },
+
+  /**
+   * 返回发送消息的frame的ID，content script用它标记长连接推送的图片
+   */
+  getFrameId: (request, sender, sendResponse) => {
+    sendResponse({ frameId: sender.frameId });
+  },
+
+  /**
+   * 处理读取设置请求
+   */
+  getSettings: (request, sender, sendResponse) => {
+    getSettings().then((settings) => {
+      sendResponse(settings);
+    }).catch((error) => {
+      console.error('读取设置失败:', error);
+      sendResponse({ ...DEFAULT_SETTINGS });
+    });
+    return true; // 保持消息通道开放
+  },
+
+  /**
+   * 处理按文件名模板生成下载文件名的请求
+   */
+  getDownloadFilenames: (request, sender, sendResponse) => {
+    getDownloadFilenames(request.images || [], request.tabId, request.zip).then((filenames) => {
+      sendResponse({ success: true, filenames: filenames });
+    }).catch((error) => {
+      console.error('生成文件名失败:', error);
+      sendResponse({ success: false, error: error.message });
+    });
+    return true; // 保持消息通道开放
+  },
+
+  /**
+   * 处理文件名模板预览请求（选项页使用）
+   */
+  previewFilename: (request, sender, sendResponse) => {
+    const sampleImage = {
+      src: 'https://example.com/photos/sunset.jpg',
+      type: 'jpg',
+      width: 1920,
+      height: 1080,
+      alt: 'Sunset over the bay'
+    };
+    const context = { pageTitle: 'Example Page', pageUrl: 'https://example.com/', date: new Date() };
+    sendResponse({ filename: buildDownloadFilenames([sampleImage], request.template, context)[0] });
   }
 };
 
@@ -170,21 +523,30 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
  * 下载图片到本地
  * @param {string} url 图片URL
  * @param {string} filename 文件名
+ * @param {Object} [source] 图片来源，包含tabId和frameId，直接下载失败时用于后备请求
+ * @param {boolean} [saveAs=true] 是否弹出另存为对话框
  * @return {Promise} 下载结果
  */
-async function downloadImage(url, filename) {
+async function downloadImage(url, filename, source, saveAs = true) {
   try {
     // 处理base64图片
     if (url.startsWith('data:image/')) {
       // 从base64数据中提取图片类型
-      const typeMatch = url.match(/data:image\/(.*?);/);
-      const extension = typeMatch ? typeMatch[1].split(';')[0] : 'png';
+      const typeMatch = url.match(/data:image\/(.*?)[;,]/);
+      let extension = typeMatch ? typeMatch[1] : 'png';
+      // svg+xml等MIME子类型转换为文件扩展名
+      if (extension === 'svg+xml') {
+        extension = 'svg';
+      } else if (extension === 'jpeg') {
+        extension = 'jpg';
+      }
       
       // 直接使用data URL下载
       await chrome.downloads.download({
         url: url,
         filename: filename || `image.${extension}`,
-        saveAs: true
+        conflictAction: 'uniquify',
+        saveAs: saveAs
       });
     } else {
       try {
@@ -192,88 +554,30 @@ async function downloadImage(url, filename) {
         await chrome.downloads.download({
           url: url,
           filename: filename || getFilenameFromUrl(url),
-          saveAs: true
+          conflictAction: 'uniquify',
+          saveAs: saveAs
         });
       } catch (error) {
-        console.error('网络下载失败，尝试从缓存获取:', error);
-        // 尝试从content script获取缓存数据
+        console.error('网络下载失败，尝试通过图片请求服务获取:', error);
         try {
-          // 获取当前活动标签页
-          const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-          if (tab) {
-            // 向content script发送消息，请求获取缓存数据
-            const cacheData = await new Promise((resolve, reject) => {
-              chrome.tabs.sendMessage(tab.id, { 
-                action: 'getCachedImage', 
-                url: url 
-              }, (response) => {
-                if (response && response.success && response.dataUrl) {
-                  resolve(response.dataUrl);
-                } else {
-                  reject(new Error('缓存中未找到图片'));
-                }
-              });
-            });
-            
-            // 使用缓存数据下载
-            let extension = 'png'; // 默认扩展名
-            
-            // 从缓存数据中提取类型信息
-            if (cacheData.startsWith('data:image/')) {
-              // 从data URL中提取类型
-              const typeMatch = cacheData.match(/data:image\/(.*?);/);
-              if (typeMatch) {
-                const mimeType = typeMatch[1];
-                // 处理常见的MIME类型
-                if (mimeType === 'jpeg') {
-                  extension = 'jpg';
-                } else if (['png', 'gif', 'webp', 'bmp', 'svg+xml', 'avif', 'tiff', 'ico'].includes(mimeType)) {
-                  extension = mimeType.replace('+xml', '');
-                }
-              }
-            } else {
-              // 尝试从原始URL中提取扩展名
-              const urlExtension = getExtensionFromUrl(url);
-              if (urlExtension) {
-                // 验证是否为有效的图片扩展名
-                const validExtensions = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'bmp', 'svg', 'avif', 'tiff', 'ico'];
-                if (validExtensions.includes(urlExtension.toLowerCase())) {
-                  extension = urlExtension;
-                }
-              }
-            }
-            
-            await chrome.downloads.download({
-              url: cacheData,
-              filename: filename || `image_${Date.now()}.${extension}`,
-              saveAs: true
-            });
-            
-            console.log('从缓存成功下载图片');
-            return; // 成功下载，退出函数
-          }
-        } catch (cacheError) {
-          console.error('缓存获取也失败:', cacheError);
-          // 尝试其他缓存策略
-          try {
-            // 对于常见的图片格式，尝试使用fetch获取
-            const response = await fetch(url, {
-              mode: 'no-cors',
-              cache: 'force-cache'
-            });
-            
-            if (response.ok || response.type === 'opaque') {
-              // 对于no-cors请求，我们无法获取响应体，但可以尝试再次下载
-              await chrome.downloads.download({
-                url: url,
-                filename: filename || getFilenameFromUrl(url),
-                saveAs: true
-              });
-              return; // 成功下载，退出函数
-            }
-          } catch (fetchError) {
-            console.error('fetch缓存获取也失败:', fetchError);
+          // 未指定来源标签页时使用当前活动标签页
+          let tabId = source && source.tabId;
+          if (typeof tabId !== 'number') {
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            tabId = tab ? tab.id : undefined;
           }
+          const result = await fetchImageData(url, { tabId: tabId, frameId: source && source.frameId });
+          const fallbackFilename = filename || getFilenameFromUrl(url);
+          await chrome.downloads.download({
+            url: result.dataUrl,
+            // 页面用canvas重新编码的数据是PNG，按PNG命名
+            filename: result.reencoded ? fallbackFilename.replace(/(\.\w{1,8})?$/, '.png') : fallbackFilename,
+            conflictAction: 'uniquify',
+            saveAs: saveAs
+          });
+          return; // 成功下载，退出函数
+        } catch (fetchError) {
+          console.error('图片请求服务也失败:', fetchError);
         }
         
         // 所有尝试都失败，抛出原始错误
@@ -286,6 +590,249 @@ async function downloadImage(url, filename) {
   }
 }
 
+/**
+ * 获取图片数据的统一入口
+ * 1. 扩展拥有主机权限，直接跨域请求并带上Cookie
+ * 2. 被拒绝时（常见于防盗链），通过declarativeNetRequest带上页面的Referer和Cookie重试
+ * 3. 网络请求仍然失败时，由content script在页面中以匿名CORS方式加载图片并读取像素
+ * @param {string} url 图片URL
+ * @param {Object} [options] 包含tabId、frameId、pageUrl、signal；skipNetwork为true时跳过第1步（调用方已直接请求过）
+ * @return {Promise<Object>} 包含dataUrl、contentType、source（network、page-headers、page），
+ *   由页面canvas重新编码为PNG时reencoded为true
+ */
+async function fetchImageData(url, options = {}) {
+  if (url.startsWith('data:')) {
+    const mimeMatch = url.match(/^data:([^;,]+)/);
+    return { dataUrl: url, contentType: mimeMatch ? mimeMatch[1] : '', source: 'inline' };
+  }
+
+  const { tabId, frameId, signal } = options;
+  let pageUrl = options.pageUrl;
+  if (!pageUrl && typeof tabId === 'number') {
+    const tab = await chrome.tabs.get(tabId).catch(() => null);
+    pageUrl = tab ? tab.url : '';
+  }
+
+  let lastError = null;
+  const attempts = [
+    { source: 'network', request: () => fetch(url, { credentials: 'include', signal }) },
+    { source: 'page-headers', request: () => fetchWithPageHeaders(url, pageUrl, signal) }
+  ];
+  for (const attempt of attempts) {
+    if ((attempt.source === 'page-headers' && !pageUrl) || (attempt.source === 'network' && options.skipNetwork)) {
+      continue;
+    }
+    try {
+      const response = await attempt.request();
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      const contentType = (response.headers.get('Content-Type') || '').split(';')[0];
+      const buffer = await response.arrayBuffer();
+      return {
+        dataUrl: `data:${contentType || 'application/octet-stream'};base64,${arrayBufferToBase64(buffer)}`,
+        contentType: contentType,
+        source: attempt.source
+      };
+    } catch (error) {
+      if (signal && signal.aborted) {
+        throw error;
+      }
+      lastError = error;
+    }
+  }
+
+  // 网络请求被拦截，由页面以匿名CORS方式加载后读取像素
+  if (typeof tabId === 'number') {
+    const response = await chrome.tabs.sendMessage(tabId, {
+      action: 'readImagePixels',
+      url: url
+    }, { frameId: typeof frameId === 'number' ? frameId : 0 }).catch(() => null);
+    if (signal && signal.aborted) {
+      throw new Error('请求已取消');
+    }
+    if (response && response.success) {
+      const mimeMatch = response.dataUrl.match(/^data:([^;,]+)/);
+      return {
+        dataUrl: response.dataUrl,
+        contentType: mimeMatch ? mimeMatch[1] : '',
+        source: 'page',
+        reencoded: !!response.reencoded
+      };
+    }
+  }
+
+  throw lastError || new Error('无法获取图片数据');
+}
+
+/**
+ * 判断消息是否来自扩展自身的页面（侧边栏、选项页），而不是网页中的content script
+ * @param {Object} sender 消息发送方
+ * @return {boolean} 是否为扩展页面
+ */
+function isExtensionPageSender(sender) {
+  return !sender.tab && sender.id === chrome.runtime.id &&
+    typeof sender.url === 'string' && sender.url.startsWith(chrome.runtime.getURL(''));
+}
+
+/**
+ * 由图片所在frame的content script读取并解析文件头
+ * content script跨域读取失败时，background读取文件开头的字节后再交给它解析
+ * @param {number} tabId 标签页ID
+ * @param {number} frameId frame ID
+ * @param {string} url 图片URL
+ * @return {Promise<Object>} content script的响应，包含success和header
+ */
+async function readImageHeaderInFrame(tabId, frameId, url) {
+  const response = await chrome.tabs.sendMessage(tabId, { action: 'getImageHeader', url: url }, { frameId: frameId });
+  if (!response) {
+    throw new Error('未收到响应');
+  }
+  if ((response.success && response.header) || !/^https?:/.test(url)) {
+    return response;
+  }
+
+  const buffer = await fetchImageHeaderData(url, IMAGE_HEADER_MAX_BYTES);
+  const parsed = await chrome.tabs.sendMessage(tabId, {
+    action: 'getImageHeader',
+    url: url,
+    data: arrayBufferToBase64(buffer)
+  }, { frameId: frameId });
+  if (!parsed) {
+    throw new Error('未收到响应');
+  }
+  return parsed;
+}
+
+/**
+ * 用Range请求读取图片开头的字节，不带Cookie
+ * 服务器不支持Range时返回完整响应，只读取需要的部分
+ * @param {string} url 图片URL
+ * @param {number} maxBytes 最多读取的字节数
+ * @return {Promise<ArrayBuffer>} 读取到的字节
+ */
+async function fetchImageHeaderData(url, maxBytes) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), 10000); // 10秒超时
+  try {
+    const response = await fetch(url, {
+      credentials: 'omit',
+      headers: { Range: `bytes=0-${maxBytes - 1}` },
+      signal: controller.signal
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return await readResponseBytes(response, maxBytes);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * 读取响应的前maxBytes个字节，读够后取消剩余的传输
+ * @param {Response} response 响应
+ * @param {number} maxBytes 最多读取的字节数
+ * @return {Promise<ArrayBuffer>} 读取到的字节
+ */
+async function readResponseBytes(response, maxBytes) {
+  if (!response.body) {
+    const buffer = await response.arrayBuffer();
+    return buffer.slice(0, maxBytes);
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let total = 0;
+  while (total < maxBytes) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    total += value.byteLength;
+  }
+  reader.cancel().catch(() => {});
+
+  const bytes = new Uint8Array(Math.min(total, maxBytes));
+  let offset = 0;
+  for (const chunk of chunks) {
+    const length = Math.min(chunk.byteLength, bytes.byteLength - offset);
+    bytes.set(chunk.subarray(0, length), offset);
+    offset += length;
+    if (offset >= bytes.byteLength) break;
+  }
+  return bytes.buffer;
+}
+
+/**
+ * 带上页面的Referer和Cookie请求图片
+ * fetch不允许设置Referer，通过只作用于扩展自身请求的会话规则修改请求头
+ * @param {string} url 图片URL
+ * @param {string} pageUrl 图片所在页面的URL
+ * @param {AbortSignal} [signal] 取消信号
+ * @return {Promise<Response>} 响应
+ */
+async function fetchWithPageHeaders(url, pageUrl, signal) {
+  const requestHeaders = [{ header: 'Referer', operation: 'set', value: pageUrl }];
+  const cookies = await chrome.cookies.getAll({ url: url }).catch(() => []);
+  if (cookies.length > 0) {
+    requestHeaders.push({
+      header: 'Cookie',
+      operation: 'set',
+      value: cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ')
+    });
+  }
+
+  const ruleId = nextHeaderRuleId++;
+  await chrome.declarativeNetRequest.updateSessionRules({
+    // Service worker重启后ID会重新计数，先移除可能残留的同ID规则
+    removeRuleIds: [ruleId],
+    addRules: [{
+      id: ruleId,
+      priority: 1,
+      action: { type: 'modifyHeaders', requestHeaders: requestHeaders },
+      condition: {
+        // urlFilter把*、^和|当作通配符，用转义后的正则精确匹配这一个URL
+        regexFilter: getExactUrlRegex(url),
+        tabIds: [chrome.tabs.TAB_ID_NONE],
+        resourceTypes: ['xmlhttprequest']
+      }
+    }]
+  });
+
+  try {
+    return await fetch(url, { credentials: 'omit', cache: 'no-store', signal });
+  } finally {
+    await chrome.declarativeNetRequest.updateSessionRules({ removeRuleIds: [ruleId] }).catch(() => {});
+  }
+}
+
+/**
+ * 生成只匹配指定URL的正则（declarativeNetRequest的regexFilter）
+ * 请求中不包含URL的片段部分，匹配前去掉
+ * @param {string} url 图片URL
+ * @return {string} 正则表达式
+ */
+function getExactUrlRegex(url) {
+  const requestUrl = new URL(url);
+  requestUrl.hash = '';
+  return '^' + requestUrl.href.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '$';
+}
+
+/**
+ * 将ArrayBuffer编码为base64
+ * @param {ArrayBuffer} buffer 二进制数据
+ * @return {string} base64字符串
+ */
+function arrayBufferToBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const chunkSize = 0x8000;
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
+
 /**
  * 将base64数据转换为Blob对象
  * @param {string} base64Data base64数据
@@ -335,42 +882,524 @@ function getExtensionFromUrl(url) {
 }
 
 /**
- * 批量下载图片
+ * 读取设置，未保存的项使用默认值
+ * @return {Promise<Object>} 设置对象
+ */
+async function getSettings() {
+  return chrome.storage.sync.get(DEFAULT_SETTINGS);
+}
+
+/**
+ * 按设置中的文件名模板为一组图片生成下载文件名
  * @param {Array} images 图片信息数组
- * @return {Promise} 下载结果
+ * @param {number} tabId 图片所在标签页ID，用于{pageTitle}和{host}
+ * @param {boolean} [forZip] 是否为zip条目（按设置添加目录）
+ * @return {Promise<Array<string>>} 与images一一对应的文件名
  */
-async function downloadAllImagesAsZip(images) {
-  try {
-    let successCount = 0;
-    let errorCount = 0;
+async function getDownloadFilenames(images, tabId, forZip) {
+  const settings = await getSettings();
+  const tab = typeof tabId === 'number' ? await chrome.tabs.get(tabId).catch(() => null) : null;
+  const context = {
+    pageTitle: tab ? tab.title : '',
+    pageUrl: tab ? tab.url : '',
+    date: new Date()
+  };
+  if (forZip) {
+    context.folderStructure = settings.zipFolderStructure;
+  }
+  return buildDownloadFilenames(images, settings.filenameTemplate || DEFAULT_SETTINGS.filenameTemplate, context);
+}
 
-    // 逐个下载图片
-    for (let i = 0; i < images.length; i++) {
-      const image = images[i];
+/**
+ * 渲染文件名模板，并处理同一批次内的重名
+ * @param {Array} images 图片信息数组
+ * @param {string} template 文件名模板
+ * @param {Object} context 包含pageTitle、pageUrl、date，zip条目还有folderStructure
+ * @return {Array<string>} 文件名数组
+ */
+function buildDownloadFilenames(images, template, context) {
+  const usedNames = new Set(context.folderStructure ? ZIP_MANIFEST_FILES : []);
+  const indexWidth = String(images.length).length;
+  return images.map((image, i) => {
+    const index = String(i + 1).padStart(indexWidth, '0');
+    let filename = renderFilenameTemplate(template, image, { ...context, index });
+    const folder = getZipFolder(image, context.folderStructure, context);
+    if (folder) {
+      filename = `${folder}/${filename}`;
+    }
+    return makeUniqueFilename(filename, usedNames);
+  });
+}
+
+/**
+ * 按目录结构设置获取图片在zip中的目录
+ * @param {Object} image 图片信息
+ * @param {string} folderStructure 目录结构：none、type、host、elementType、urlPath
+ * @param {Object} context 包含pageUrl
+ * @return {string} 目录路径，不分目录时为空字符串
+ */
+function getZipFolder(image, folderStructure, context) {
+  const isDataUrl = isInlineImageSrc(image.src);
+  switch (folderStructure) {
+    case 'type':
+      return splitImageFilename(image).ext;
+    case 'host':
+      return sanitizeFilenamePart(isDataUrl ? 'inline' : getUrlHost(image.src) || 'unknown');
+    case 'elementType':
+      return sanitizeFilenamePart(image.elementType || 'unknown');
+    case 'urlPath': {
+      if (isDataUrl) {
+        return 'inline';
+      }
       try {
-        // 为每张图片生成一个唯一的文件名
-        const filename = `image_${i + 1}_${Date.now()}.${image.type}`;
-        await downloadImage(image.src, filename);
-        successCount++;
+        const url = new URL(image.src);
+        // 保留主机名和文件所在的目录
+        const directories = url.pathname.split('/').slice(1, -1).map((segment) => {
+          try {
+            return decodeURIComponent(segment);
+          } catch (error) {
+            return segment;
+          }
+        });
+        return [url.host, ...directories]
+          .map(segment => sanitizeFilenamePart(segment).replace(/^\.+/, '').replace(/[. ]+$/, ''))
+          .filter(Boolean)
+          .join('/');
       } catch (error) {
-        console.error(`下载图片失败 (${i + 1}/${images.length}):`, error);
-        errorCount++;
+        return getUrlHost(context.pageUrl) || 'unknown';
       }
+    }
+    default:
+      return '';
+  }
+}
 
-      // 避免请求过于频繁，添加短暂延迟
-      if (i < images.length - 1) {
-        await new Promise(resolve => setTimeout(resolve, 100));
-      }
+/**
+ * 替换文件名模板中的标记
+ * 支持{name}、{ext}、{index}、{width}、{height}、{host}、{pageTitle}、{alt}、{date}，
+ * 模板中的"/"会生成子目录
+ * @param {string} template 文件名模板
+ * @param {Object} image 图片信息
+ * @param {Object} context 包含index、pageTitle、pageUrl、date
+ * @return {string} 清理后的文件名
+ */
+function renderFilenameTemplate(template, image, context) {
+  const { name, ext } = splitImageFilename(image);
+  const tokens = {
+    name: name,
+    ext: ext,
+    index: context.index || '1',
+    width: image.width > 0 ? String(image.width) : '0',
+    height: image.height > 0 ? String(image.height) : '0',
+    host: getUrlHost(image.src) || getUrlHost(context.pageUrl),
+    pageTitle: context.pageTitle || '',
+    alt: image.alt || '',
+    date: formatFilenameDate(context.date || new Date())
+  };
+
+  const rendered = template.replace(/\{(\w+)\}/g, (match, token) => {
+    return Object.prototype.hasOwnProperty.call(tokens, token) ? sanitizeFilenamePart(tokens[token]) : match;
+  });
+  return sanitizeFilePath(rendered, ext);
+}
+
+/**
+ * 判断图片是否没有网络URL（data URL或内联svg的引用）
+ * @param {string} src 图片src
+ * @return {boolean} 是否为内联图片
+ */
+function isInlineImageSrc(src) {
+  return !src || src.startsWith('data:') || src.startsWith('inline-svg:');
+}
+
+/**
+ * 从图片URL中拆出原始文件名（不含扩展名）和扩展名
+ * @param {Object} image 图片信息
+ * @return {Object} 包含name和ext
+ */
+function splitImageFilename(image) {
+  const validExtensions = ['jpg', 'png', 'gif', 'webp', 'bmp', 'svg', 'avif', 'tiff', 'ico', 'heic'];
+  let name = '';
+  let urlExtension = '';
+
+  if (!isInlineImageSrc(image.src)) {
+    try {
+      const basename = decodeURIComponent(new URL(image.src).pathname.split('/').pop());
+      const dotIndex = basename.lastIndexOf('.');
+      name = dotIndex > 0 ? basename.slice(0, dotIndex) : basename;
+      urlExtension = dotIndex > 0 ? basename.slice(dotIndex + 1).toLowerCase() : '';
+    } catch (error) {
+      // 无法解析的URL使用默认名称
     }
+  }
+
+  let ext = image.type === 'jpeg' ? 'jpg' : image.type;
+  if (!validExtensions.includes(ext)) {
+    const dataMatch = image.src ? image.src.match(/^data:image\/([\w.+-]+)/) : null;
+    const dataExtension = dataMatch ? dataMatch[1].replace('+xml', '').replace('jpeg', 'jpg') : '';
+    ext = [urlExtension === 'jpeg' ? 'jpg' : urlExtension, dataExtension].find(candidate => validExtensions.includes(candidate)) || 'png';
+  }
 
-    console.log(`批量下载完成: 成功 ${successCount} 张, 失败 ${errorCount} 张`);
-    return { success: true, successCount, errorCount };
+  return { name: name || image.name || 'image', ext: ext };
+}
+
+/**
+ * 获取URL的主机名
+ * @param {string} url URL
+ * @return {string} 主机名，无法解析时为空字符串
+ */
+function getUrlHost(url) {
+  try {
+    return new URL(url).host;
   } catch (error) {
-    console.error('批量下载失败:', error);
-    throw error;
+    return '';
+  }
+}
+
+/**
+ * 将日期格式化为YYYY-MM-DD
+ * @param {Date} date 日期
+ * @return {string} 日期字符串
+ */
+function formatFilenameDate(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * 清理填入模板的值：去掉路径分隔符和文件系统不允许的字符
+ * @param {string} value 标记的值
+ * @return {string} 清理后的值
+ */
+function sanitizeFilenamePart(value) {
+  return String(value)
+    .replace(/[\\/:*?"<>|\x00-\x1f\x7f]/g, '_')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 100);
+}
+
+/**
+ * 清理完整的相对路径，使其可以作为chrome.downloads和zip中的文件名
+ * @param {string} path 渲染后的路径
+ * @param {string} ext 扩展名，文件名为空时使用
+ * @return {string} 清理后的路径
+ */
+function sanitizeFilePath(path, ext) {
+  const segments = path.split('/')
+    .map(segment => segment.replace(/[\\:*?"<>|\x00-\x1f\x7f]/g, '_').trim())
+    .filter(segment => segment && segment !== '.' && segment !== '..');
+
+  let filename = segments.pop() || '';
+  // 只有扩展名（如{alt}为空时的".jpg"）时补上默认名称
+  if (!filename || filename.startsWith('.')) {
+    filename = `image${filename || '.' + ext}`;
+  }
+  segments.push(filename);
+
+  return segments.map((segment) => {
+    // Windows不允许以点或空格结尾，也不允许使用设备名
+    let cleaned = segment.replace(/^\.+/, '').replace(/[. ]+$/, '').slice(0, 150) || '_';
+    if (/^(con|prn|aux|nul|com\d|lpt\d)(\..*)?$/i.test(cleaned)) {
+      cleaned = `_${cleaned}`;
+    }
+    return cleaned;
+  }).join('/');
+}
+
+/**
+ * 同一批次中文件名重复时，在扩展名前添加序号
+ * @param {string} filename 文件名
+ * @param {Set<string>} usedNames 已使用的文件名（小写）
+ * @return {string} 不重复的文件名
+ */
+function makeUniqueFilename(filename, usedNames) {
+  const extensionMatch = filename.match(/[^/]\.(\w{1,8})$/);
+  const extension = extensionMatch ? `.${extensionMatch[1]}` : '';
+  const base = filename.slice(0, filename.length - extension.length);
+
+  let uniqueName = filename;
+  let counter = 2;
+  while (usedNames.has(uniqueName.toLowerCase())) {
+    uniqueName = `${base}-${counter}${extension}`;
+    counter++;
+  }
+  usedNames.add(uniqueName.toLowerCase());
+  return uniqueName;
+}
+
+/**
+ * 在标签页的所有frame中提取图片并合并结果
+ * @param {number} tabId 标签页ID
+ * @return {Promise<Array>} 合并后的图片信息数组
+ */
+async function extractImagesFromAllFrames(tabId) {
+  // 确保每个frame中都有content script
+  await chrome.scripting.executeScript({
+    target: { tabId: tabId, allFrames: true },
+    files: ['content.js']
+  });
+
+  // 在content script所在的隔离环境中调用extractImages，同时传入URL标准化规则
+  const settings = await getSettings();
+  const results = await chrome.scripting.executeScript({
+    target: { tabId: tabId, allFrames: true },
+    func: (urlRules) => {
+      window.imageListUrlRules = urlRules;
+      return { url: window.location.href, images: extractImages() };
+    },
+    args: [settings.urlNormalizationRules]
+  });
+
+  // 主frame（frameId为0）排在前面，跨frame按URL去重
+  results.sort((a, b) => a.frameId - b.frameId);
+  const images = [];
+  const seenUrls = new Set();
+  let pageUrl = '';
+  for (const frameResult of results) {
+    if (!frameResult.result) continue;
+    if (frameResult.frameId === 0) {
+      pageUrl = frameResult.result.url;
+    }
+    for (const image of tagImagesWithFrame(frameResult.result.images, frameResult.frameId)) {
+      if (!seenUrls.has(image.src)) {
+        seenUrls.add(image.src);
+        images.push(image);
+      }
+    }
+  }
+
+  await applyImageIndexUpdate(tabId, 'replace', images, pageUrl);
+  return images;
+}
+
+/**
+ * 在标签页的所有frame中扫描样式表引用的图片
+ * @param {number} tabId 标签页ID
+ * @return {Promise<Array>} 合并后的图片信息数组
+ */
+async function scanStylesheetsInAllFrames(tabId) {
+  await chrome.scripting.executeScript({
+    target: { tabId: tabId, allFrames: true },
+    files: ['content.js']
+  });
+
+  const results = await chrome.scripting.executeScript({
+    target: { tabId: tabId, allFrames: true },
+    func: () => scanStylesheetImages()
+  });
+
+  results.sort((a, b) => a.frameId - b.frameId);
+  const images = [];
+  const seenUrls = new Set();
+  for (const frameResult of results) {
+    for (const image of tagImagesWithFrame(frameResult.result || [], frameResult.frameId)) {
+      if (!seenUrls.has(image.src)) {
+        seenUrls.add(image.src);
+        images.push(image);
+      }
+    }
+  }
+  return images;
+}
+
+/**
+ * 通过HEAD请求获取图片的大小、类型和缓存信息
+ * 服务器不支持HEAD或没有Content-Length时，改用单字节Range请求从Content-Range读取总大小
+ * @param {string} url 图片URL
+ * @return {Promise<Object>} 包含byteSize、contentType、cacheStatus、loadTime、sizeSource
+ */
+async function fetchTransferInfo(url) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), 5000); // 5秒超时
+  try {
+    return await readTransferInfo(url, controller.signal);
+  } finally {
+    clearTimeout(timeoutId);
   }
 }
 
+/**
+ * 发出fetchTransferInfo的请求并读取响应头
+ * @param {string} url 图片URL
+ * @param {AbortSignal} signal 超时取消信号
+ * @return {Promise<Object>} 传输信息
+ */
+async function readTransferInfo(url, signal) {
+  const startTime = performance.now();
+  let response = await fetch(url, { method: 'HEAD', signal });
+  let byteSize = parseInt(response.headers.get('Content-Length'), 10);
+  let sizeSource = 'head';
+
+  if (!response.ok || isNaN(byteSize)) {
+    response = await fetch(url, { headers: { Range: 'bytes=0-0' }, signal });
+    const contentRange = response.headers.get('Content-Range');
+    const totalMatch = contentRange ? contentRange.match(/\/(\d+)$/) : null;
+    byteSize = totalMatch ? parseInt(totalMatch[1], 10) : parseInt(response.headers.get('Content-Length'), 10);
+    sizeSource = 'range';
+    // 只需要响应头
+    if (response.body) {
+      response.body.cancel().catch(() => {});
+    }
+  }
+
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+
+  // CDN的缓存命中信息
+  const cdnCache = response.headers.get('CF-Cache-Status') || response.headers.get('X-Cache') || '';
+  let cacheStatus = 'unknown';
+  if (/hit/i.test(cdnCache)) {
+    cacheStatus = 'cdn-hit';
+  } else if (/miss/i.test(cdnCache)) {
+    cacheStatus = 'cdn-miss';
+  }
+
+  return {
+    byteSize: isNaN(byteSize) ? undefined : byteSize,
+    contentType: (response.headers.get('Content-Type') || '').split(';')[0],
+    cacheStatus: cacheStatus,
+    loadTime: Math.round(performance.now() - startTime),
+    sizeSource: sizeSource
+  };
+}
+
+/**
+ * 为图片记录来源frame的ID
+ * @param {Array} images 图片信息数组
+ * @param {number} frameId frame ID
+ * @return {Array} 带frameId的图片信息数组
+ */
+function tagImagesWithFrame(images, frameId) {
+  if (typeof frameId !== 'number') {
+    return images;
+  }
+  return images.map(image => ({ ...image, frameId: frameId }));
+}
+
+/**
+ * 标签页图片索引
+ * 每个标签页的图片列表保存在chrome.storage.session中，由content script增量推送
+ */
+
+// 每个标签页的写入队列，保证读-改-写按顺序执行
+const imageIndexQueues = new Map();
+
+/**
+ * 获取标签页图片索引的存储键
+ * @param {number} tabId 标签页ID
+ * @return {string} 存储键
+ */
+function getImageIndexKey(tabId) {
+  return `imageIndex_${tabId}`;
+}
+
+/**
+ * 获取图片在索引中的匹配键（来源frame和URL）
+ * @param {Object} image 图片信息
+ * @return {string} 匹配键
+ */
+function getImageIndexEntryKey(image) {
+  return `${image.frameId || 0} ${image.src}`;
+}
+
+/**
+ * 读取标签页的图片索引
+ * @param {number} tabId 标签页ID
+ * @return {Promise<Object>} 包含images、pageUrl、updatedAt的索引对象
+ */
+async function readImageIndex(tabId) {
+  const key = getImageIndexKey(tabId);
+  const result = await chrome.storage.session.get(key);
+  return result[key] || { images: [], pageUrl: '', updatedAt: 0 };
+}
+
+/**
+ * 将增量更新合并到标签页的图片索引
+ * @param {number} tabId 标签页ID
+ * @param {string} mode 更新模式：replace、upsert、remove
+ * @param {Array} images 图片信息数组
+ * @param {string} pageUrl 页面URL
+ * @param {number} [frameId] replace模式下只替换该frame的图片；不传时替换整个索引
+ * @return {Promise<Object>} 更新后的索引对象
+ */
+function applyImageIndexUpdate(tabId, mode, images, pageUrl, frameId) {
+  const previous = imageIndexQueues.get(tabId) || Promise.resolve();
+  const next = previous.catch(() => {}).then(async () => {
+    const index = await readImageIndex(tabId);
+
+    // 页面已跳转，旧索引作废
+    if (pageUrl && index.pageUrl && index.pageUrl !== pageUrl) {
+      index.images = [];
+    }
+
+    if (mode === 'replace') {
+      if (typeof frameId === 'number') {
+        // 保留其他frame的图片，与新图片URL重复的以新图片为准
+        const replacedUrls = new Set(images.map(img => img.src));
+        const otherFrames = index.images.filter(img => (img.frameId || 0) !== frameId && !replacedUrls.has(img.src));
+        index.images = images.concat(otherFrames);
+      } else {
+        index.images = images;
+      }
+    } else if (mode === 'upsert') {
+      for (const image of images) {
+        const existingImage = index.images.find(img => img.src === image.src);
+        if (existingImage) {
+          Object.assign(existingImage, image);
+        } else {
+          index.images.push(image);
+        }
+      }
+    } else if (mode === 'remove') {
+      // 同一URL可能来自不同frame，只移除发送方frame的记录
+      const removedKeys = new Set(images.map(getImageIndexEntryKey));
+      index.images = index.images.filter(img => !removedKeys.has(getImageIndexEntryKey(img)));
+    } else {
+      throw new Error('未知的索引更新模式: ' + mode);
+    }
+
+    index.pageUrl = pageUrl || index.pageUrl;
+    index.updatedAt = Date.now();
+    await chrome.storage.session.set({ [getImageIndexKey(tabId)]: index });
+    return index;
+  });
+
+  imageIndexQueues.set(tabId, next);
+  next.finally(() => {
+    if (imageIndexQueues.get(tabId) === next) {
+      imageIndexQueues.delete(tabId);
+    }
+  }).catch(() => {});
+  return next;
+}
+
+/**
+ * 清除标签页的图片索引
+ * @param {number} tabId 标签页ID
+ * @return {Promise} 清除结果
+ */
+async function clearImageIndex(tabId) {
+  await chrome.storage.session.remove(getImageIndexKey(tabId));
+}
+
+// 标签页关闭时清除索引
+chrome.tabs.onRemoved.addListener((tabId) => {
+  clearImageIndex(tabId).catch((error) => {
+    console.warn('清除图片索引失败:', error);
+  });
+});
+
+// 标签页开始加载新页面时清除索引
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.status === 'loading' && changeInfo.url) {
+    clearImageIndex(tabId).catch((error) => {
+      console.warn('清除图片索引失败:', error);
+    });
+  }
+});
+
 /**
  * 初始化插件
  */
@@ -268,14 +268,23 @@ function processSvgDataUrl(url) {
  */
 async function getImageInfoCoordinated(url, initialImage) {
   try {
+    const updatedImage = { ...initialImage };
+
+    // 非SVG图片先读取文件头，一次请求即可得到类型、尺寸和其他元数据
+    if (initialImage.type !== 'svg') {
+      const header = await getImageHeaderFromUrl(url);
+      if (header && header.width > 0 && header.height > 0) {
+        Object.assign(updatedImage, header);
+        return updatedImage;
+      }
+    }
+
     // 并行获取类型和尺寸信息
     const [detectedType, dimensions] = await Promise.allSettled([
       getImageTypeByFetch(url),
-      initialImage.type === 'svg' ? getSvgDimensionsFromUrl(url) : getImageDimensionsFromUrl(url)
+      initialImage.type === 'svg' ? getSvgDimensionsFromUrl(url) : getImageDimensionsByLoading(url)
     ]);
 
-    const updatedImage = { ...initialImage };
-
     // 更新类型信息
     if (detectedType.status === 'fulfilled' && detectedType.value !== 'unknown') {
       updatedImage.type = detectedType.value;
@@ -301,24 +310,9 @@ async function getImageInfoCoordinated(url, initialImage) {
  */
 async function getSvgDimensionsFromUrl(url) {
   try {
-    if (url.startsWith('data:image/svg+xml')) {
-      // 处理data URL形式的SVG
-      const svgContent = processSvgDataUrl(url);
-      if (svgContent) {
-        return parseSvgDimensions(svgContent);
-      }
-    } else {
-      // 处理普通URL形式的SVG
-      const response = await fetch(url, {
-        method: 'GET',
-        mode: 'cors',
-        cache: 'no-cache'
-      });
-
-      if (response.ok) {
-        const svgContent = await response.text();
-        return parseSvgDimensions(svgContent);
-      }
+    const svgContent = await fetchSvgContent(url);
+    if (svgContent) {
+      return parseSvgDimensions(svgContent);
     }
   } catch (error) {
     console.warn('从URL获取SVG尺寸失败:', url, error);
@@ -327,12 +321,120 @@ async function getSvgDimensionsFromUrl(url) {
   return { width: 0, height: 0 };
 }
 
+/**
+ * 获取SVG的文本内容
+ * @param {string} url SVG URL或data URL
+ * @return {Promise<string|null>} SVG内容，失败返回null
+ */
+async function fetchSvgContent(url) {
+  if (url.startsWith('data:image/svg+xml')) {
+    // 处理data URL形式的SVG
+    return processSvgDataUrl(url);
+  }
+
+  // 处理普通URL形式的SVG
+  const response = await fetch(url, {
+    method: 'GET',
+    mode: 'cors',
+    cache: 'no-cache'
+  });
+
+  if (response.ok) {
+    return response.text();
+  }
+  return null;
+}
+
+/**
+ * 解析SVG精灵图，拆分出每个<symbol>
+ * @param {string} svgContent SVG内容
+ * @return {Array<Object>} 每项包含id、width、height、src（独立SVG的data URL），不是精灵图时返回空数组
+ */
+function parseSvgSprite(svgContent) {
+  try {
+    const svgDoc = new DOMParser().parseFromString(svgContent, 'image/svg+xml');
+    const symbols = svgDoc.querySelectorAll('symbol[id]');
+    // 至少两个symbol才视为精灵图
+    if (symbols.length < 2) return [];
+
+    // 渐变、滤镜、样式等共享定义需要随每个symbol一起导出
+    const sharedDefinitions = Array.from(svgDoc.querySelectorAll('svg > defs, svg > style'))
+      .map(element => {
+        const clone = element.cloneNode(true);
+        clone.querySelectorAll('symbol').forEach(symbol => symbol.remove());
+        return clone;
+      });
+
+    return Array.from(symbols).map(symbol => {
+      const viewBox = symbol.getAttribute('viewBox') || '';
+      const viewBoxParts = viewBox.split(/[\s,]+/).filter(part => part).map(parseFloat);
+      const width = parseSvgLength(symbol.getAttribute('width')) || (viewBoxParts.length === 4 ? viewBoxParts[2] : 0);
+      const height = parseSvgLength(symbol.getAttribute('height')) || (viewBoxParts.length === 4 ? viewBoxParts[3] : 0);
+
+      // 用DOM构建独立SVG，属性值由序列化器转义
+      const standalone = svgDoc.createElementNS('http://www.w3.org/2000/svg', 'svg');
+      standalone.setAttributeNS('http://www.w3.org/2000/xmlns/', 'xmlns:xlink', 'http://www.w3.org/1999/xlink');
+      if (viewBox) standalone.setAttribute('viewBox', viewBox);
+      if (width) standalone.setAttribute('width', String(Math.round(width)));
+      if (height) standalone.setAttribute('height', String(Math.round(height)));
+      sharedDefinitions.forEach(definition => standalone.appendChild(definition.cloneNode(true)));
+      Array.from(symbol.childNodes).forEach(child => standalone.appendChild(child.cloneNode(true)));
+      const standaloneSvg = new XMLSerializer().serializeToString(standalone);
+
+      return {
+        id: symbol.getAttribute('id'),
+        width: Math.round(width),
+        height: Math.round(height),
+        src: 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(standaloneSvg)
+      };
+    });
+  } catch (error) {
+    console.warn('解析SVG精灵图失败:', error);
+    return [];
+  }
+}
+
+/**
+ * 检测一组SVG URL中的精灵图
+ * @param {Array<string>} urls SVG URL数组
+ * @return {Promise<Object>} URL到symbol数组的映射，只包含精灵图
+ */
+async function getSvgSprites(urls) {
+  const sprites = {};
+  await Promise.all(urls.map(async (url) => {
+    try {
+      const svgContent = await fetchSvgContent(url);
+      const symbols = svgContent ? parseSvgSprite(svgContent) : [];
+      if (symbols.length > 0) {
+        sprites[url] = symbols;
+      }
+    } catch (error) {
+      console.warn('检测SVG精灵图失败:', url, error);
+    }
+  }));
+  return sprites;
+}
+
 /**
  * 从URL获取非SVG图片的尺寸
+ * 优先解析文件头（只需读取开头几KB），失败时再完整加载图片
  * @param {string} url 图片URL
  * @return {Promise<Object>} 包含width和height的对象
  */
 async function getImageDimensionsFromUrl(url) {
+  const header = await getImageHeaderFromUrl(url);
+  if (header && header.width > 0 && header.height > 0) {
+    return { width: header.width, height: header.height };
+  }
+  return getImageDimensionsByLoading(url);
+}
+
+/**
+ * 完整加载图片以获取尺寸
+ * @param {string} url 图片URL
+ * @return {Promise<Object>} 包含width和height的对象
+ */
+function getImageDimensionsByLoading(url) {
   return new Promise((resolve) => {
     try {
       const img = new Image();
@@ -436,17 +538,17 @@ function detectImageTypeByMagicNumber(buffer) {
       }
     }
 
-    // 检测ICO
+    // 检测ICO（类型字段为小端序的1）
     if (view.byteLength >= 6 &&
       view.getUint16(0) === 0 &&
-      view.getUint16(2) === 1) {
+      view.getUint16(2, true) === 1) {
       return 'ico';
     }
 
     // 检测TIFF
     if (view.byteLength >= 4 &&
       ((view.getUint16(0) === 0x4D4D && view.getUint16(2) === 42) || // Big-endian
-        (view.getUint16(0) === 0x4949 && view.getUint16(2) === 42))) { // Little-endian
+        (view.getUint16(0) === 0x4949 && view.getUint16(2, true) === 42))) { // Little-endian
       return 'tiff';
     }
 
@@ -470,208 +572,1415 @@ function detectImageTypeByMagicNumber(buffer) {
   }
 }
 
-async function getImageTypeByFetch(url) {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), 5000); // 5秒超时
+// 读取文件头的字节数：大多数格式的尺寸信息都在前几KB内
+// 注意：content.js会被重复注入，顶层常量使用var
+var IMAGE_HEADER_BYTES = 64 * 1024;
+// JPEG的SOF标记可能位于较大的EXIF/ICC数据之后，第一次读取不到时扩大范围
+var IMAGE_HEADER_MAX_BYTES = 512 * 1024;
+// 按URL缓存的文件头解析结果数量上限
+var IMAGE_HEADER_CACHE_SIZE = 500;
+
+/**
+ * 解析图片文件头，获取尺寸和其他元数据
+ * 只需要文件开头的部分字节，支持PNG、JPEG、GIF、WebP、BMP、ICO、AVIF/HEIC、TIFF
+ * @param {ArrayBuffer} buffer 图片文件开头的字节
+ * @return {Object|null} 包含type、width、height，以及可获取时的bitDepth、colorType、frameCount、orientation、metadata（EXIF/GPS/XMP/IPTC）；无法识别时返回null
+ */
+function parseImageHeader(buffer) {
+  const type = detectImageTypeByMagicNumber(buffer);
+  if (type === 'unknown') {
+    return null;
+  }
 
+  const view = new DataView(buffer);
+  const parsers = {
+    png: parsePngHeader,
+    jpg: parseJpegHeader,
+    gif: parseGifHeader,
+    webp: parseWebpHeader,
+    bmp: parseBmpHeader,
+    ico: parseIcoHeader,
+    avif: parseIsoBmffHeader,
+    heic: parseIsoBmffHeader,
+    tiff: parseTiffHeader
+  };
+
+  const header = { type: type, width: 0, height: 0 };
   try {
-    // 尝试多种fetch配置，增加超时和重试机制
-    const fetchConfigs = [
-      {
-        method: 'GET',
-        mode: 'cors',
-        cache: 'no-cache',
-        signal: controller.signal
-      },
-      {
-        method: 'GET',
-        mode: 'no-cors',
-        cache: 'default',
-        signal: controller.signal
-      }
-    ];
+    Object.assign(header, parsers[type](view));
+  } catch (error) {
+    // 字节不完整时可能越界，保留已解析的部分
+    console.warn('解析图片文件头失败:', type, error);
+  }
+  const metadata = parseImageMetadata(view, type);
+  if (metadata) {
+    header.metadata = metadata;
+  }
+  return header;
+}
 
-    let response;
-    for (const config of fetchConfigs) {
-      try {
-        response = await fetch(url, config);
-        if (response.ok || response.type === 'opaque') {
-          break;
-        }
-      } catch (error) {
-        // 尝试下一个配置
-        continue;
-      }
+// 读取ASCII字符串（如chunk类型、box类型）
+function readAscii(view, offset, length) {
+  let text = '';
+  for (let i = 0; i < length && offset + i < view.byteLength; i++) {
+    text += String.fromCharCode(view.getUint8(offset + i));
+  }
+  return text;
+}
+
+// PNG：IHDR中的尺寸、位深和颜色类型，acTL中的帧数（APNG）
+function parsePngHeader(view) {
+  const colorTypes = { 0: 'grayscale', 2: 'rgb', 3: 'indexed', 4: 'grayscale-alpha', 6: 'rgba' };
+  const result = {
+    width: view.getUint32(16),
+    height: view.getUint32(20),
+    bitDepth: view.getUint8(24),
+    colorType: colorTypes[view.getUint8(25)] || 'unknown',
+    frameCount: 1
+  };
+
+  // acTL必须在IDAT之前
+  let offset = 8;
+  while (offset + 8 <= view.byteLength) {
+    const length = view.getUint32(offset);
+    const chunkType = readAscii(view, offset + 4, 4);
+    if (chunkType === 'acTL' && offset + 12 <= view.byteLength) {
+      result.frameCount = view.getUint32(offset + 8);
+      break;
     }
+    if (chunkType === 'IDAT' || chunkType === 'IEND') break;
+    offset += 12 + length;
+  }
+  return result;
+}
 
-    if (!response) {
-      throw new Error('所有fetch配置都失败');
+// JPEG：SOF标记中的尺寸、精度和分量数，APP1 EXIF中的方向
+function parseJpegHeader(view) {
+  const colorTypes = { 1: 'grayscale', 3: 'ycbcr', 4: 'cmyk' };
+  const result = { frameCount: 1 };
+
+  let offset = 2;
+  while (offset + 4 <= view.byteLength) {
+    if (view.getUint8(offset) !== 0xFF) {
+      offset++;
+      continue;
     }
+    const marker = view.getUint8(offset + 1);
+    // 填充字节和无长度的标记
+    if (marker === 0xFF || marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) {
+      offset += marker === 0xFF ? 1 : 2;
+      continue;
+    }
+    const length = view.getUint16(offset + 2);
 
-    // 对于no-cors请求，我们无法获取响应体，但可以从其他信息推断
-    if (response.type === 'opaque') {
-      // 尝试从Content-Type头推断类型
-      const contentType = response.headers.get('Content-Type');
-      if (contentType && contentType.startsWith('image/')) {
-        const typeMatch = contentType.match(/image\/(.*)/);
-        if (typeMatch) {
-          const type = typeMatch[1].toLowerCase();
-          // 处理常见的MIME类型
-          if (type === 'jpeg') return 'jpg';
-          if (['jpg', 'png', 'gif', 'webp', 'bmp', 'svg+xml', 'avif', 'tiff', 'ico'].includes(type)) {
-            return type.replace('+xml', '');
-          }
-        }
+    // APP1 EXIF
+    if (marker === 0xE1 && readAscii(view, offset + 4, 4) === 'Exif') {
+      const tags = readTiffIfd0(view, offset + 10);
+      if (tags && tags[0x0112]) {
+        result.orientation = tags[0x0112];
       }
-      throw new Error('无法获取响应体');
     }
 
-    const buffer = await response.arrayBuffer();
-    return detectImageTypeByMagicNumber(buffer);
-  } catch (error) {
-    console.warn('通过fetch检测图片类型失败:', url, error);
-
-    // 最后尝试：从URL路径和参数中推断类型
-    const urlLower = url.toLowerCase();
-    if (urlLower.includes('image/jpeg') || urlLower.includes('image/jpg')) return 'jpg';
-    if (urlLower.includes('image/png')) return 'png';
-    if (urlLower.includes('image/gif')) return 'gif';
-    if (urlLower.includes('image/webp')) return 'webp';
-    if (urlLower.includes('image/bmp')) return 'bmp';
-    if (urlLower.includes('image/svg')) return 'svg';
-    if (urlLower.includes('image/avif')) return 'avif';
-    if (urlLower.includes('image/tiff')) return 'tiff';
-    if (urlLower.includes('image/ico')) return 'ico';
+    // SOF0-SOF15（C4、C8、CC不是SOF）
+    if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+      if (offset + 10 > view.byteLength) break;
+      result.bitDepth = view.getUint8(offset + 4);
+      result.height = view.getUint16(offset + 5);
+      result.width = view.getUint16(offset + 7);
+      result.colorType = colorTypes[view.getUint8(offset + 9)] || 'unknown';
+      result.progressive = marker === 0xC2;
+      break;
+    }
 
-    return 'unknown';
+    // 到达图像数据，后面不会再有SOF
+    if (marker === 0xDA) break;
+    offset += 2 + length;
   }
+  return result;
 }
 
-/**
- * 提取网页中的所有图片
- * @return {Array} 图片信息数组
- */
-// 处理图片URL，包括相对路径、协议相对URL、解码等
-function processImageUrl(url) {
-  if (!url) return null;
+// GIF：逻辑屏幕尺寸、颜色位数，以及读取范围内的帧数
+function parseGifHeader(view) {
+  const packed = view.getUint8(10);
+  const result = {
+    width: view.getUint16(6, true),
+    height: view.getUint16(8, true),
+    bitDepth: (packed & 0x07) + 1,
+    colorType: 'indexed',
+    frameCount: 0
+  };
 
-  // 处理相对路径和特殊URL
-  if (!url.startsWith('http') && !url.startsWith('data:')) {
-    // 处理协议相对URL
-    if (url.startsWith('//')) {
-      url = window.location.protocol + url;
-    } else {
-      // 处理普通相对路径
-      try {
-        url = new URL(url, window.location.href).href;
-      } catch (error) {
-        console.warn('无法解析URL:', url, error);
-        // 尝试简单的路径拼接
-        const baseUrl = window.location.href.replace(/[^/]+$/, '');
-        url = baseUrl + url;
+  // 跳过全局颜色表
+  let offset = 13;
+  if (packed & 0x80) {
+    offset += 3 * (1 << ((packed & 0x07) + 1));
+  }
+
+  // 跳过数据子块序列
+  const skipSubBlocks = (position) => {
+    while (position < view.byteLength) {
+      const size = view.getUint8(position);
+      position += 1 + size;
+      if (size === 0) break;
+    }
+    return position;
+  };
+
+  let complete = false;
+  while (offset < view.byteLength) {
+    const block = view.getUint8(offset);
+    if (block === 0x21) {
+      // 扩展块
+      offset = skipSubBlocks(offset + 2);
+    } else if (block === 0x2C) {
+      // 图像描述符
+      result.frameCount++;
+      const localPacked = offset + 9 < view.byteLength ? view.getUint8(offset + 9) : 0;
+      offset += 10;
+      if (localPacked & 0x80) {
+        offset += 3 * (1 << ((localPacked & 0x07) + 1));
       }
+      // LZW最小码长，然后是图像数据子块
+      offset = skipSubBlocks(offset + 1);
+    } else if (block === 0x3B) {
+      complete = true;
+      break;
+    } else {
+      break;
     }
   }
 
-  // 清理URL中的特殊字符和编码
-  try {
-    url = decodeURIComponent(url);
-  } catch (error) {
-    // 忽略解码错误
+  // 只读取了文件开头时，帧数是下限
+  if (!complete) {
+    result.frameCountPartial = true;
   }
-
-  return url;
+  result.frameCount = Math.max(result.frameCount, 1);
+  return result;
 }
 
-// 从img元素中获取尺寸信息
-function getImageDimensions(imgElement) {
-  let width = 0;
-  let height = 0;
+// WebP：VP8（有损）、VP8L（无损）、VP8X（扩展，含动画和EXIF）
+function parseWebpHeader(view) {
+  const result = { frameCount: 1 };
+  let offset = 12;
+  let frameCount = 0;
 
-  // 尝试获取原始尺寸
-  if (imgElement.naturalWidth && imgElement.naturalHeight) {
-    width = imgElement.naturalWidth;
-    height = imgElement.naturalHeight;
-  }
-  // 尝试获取当前显示尺寸
-  else if (imgElement.width && imgElement.height) {
-    width = imgElement.width;
-    height = imgElement.height;
-  }
-  // 尝试从style或属性中获取尺寸
-  else {
-    // 从style属性中获取
-    const styleWidth = imgElement.style.width;
-    const styleHeight = imgElement.style.height;
-    if (styleWidth) {
-      const widthMatch = styleWidth.match(/(\d+)px/);
-      if (widthMatch) width = parseInt(widthMatch[1]);
-    }
-    if (styleHeight) {
-      const heightMatch = styleHeight.match(/(\d+)px/);
-      if (heightMatch) height = parseInt(heightMatch[1]);
-    }
-    // 从width/height属性中获取
-    if (!width && imgElement.getAttribute('width')) {
-      width = parseInt(imgElement.getAttribute('width')) || 0;
-    }
-    if (!height && imgElement.getAttribute('height')) {
-      height = parseInt(imgElement.getAttribute('height')) || 0;
-    }
-    // 从data属性中获取尺寸
-    if (!width && imgElement.getAttribute('data-width')) {
-      width = parseInt(imgElement.getAttribute('data-width')) || 0;
-    }
-    if (!height && imgElement.getAttribute('data-height')) {
-      height = parseInt(imgElement.getAttribute('data-height')) || 0;
+  while (offset + 8 <= view.byteLength) {
+    const chunkType = readAscii(view, offset, 4);
+    const size = view.getUint32(offset + 4, true);
+    const data = offset + 8;
+
+    if (chunkType === 'VP8 ' && data + 10 <= view.byteLength && !result.width) {
+      // 帧头之后的起始码 9D 01 2A
+      result.width = view.getUint16(data + 6, true) & 0x3FFF;
+      result.height = view.getUint16(data + 8, true) & 0x3FFF;
+      result.bitDepth = 8;
+      result.colorType = result.colorType || 'yuv';
+    } else if (chunkType === 'VP8L' && data + 5 <= view.byteLength && !result.width) {
+      const b1 = view.getUint8(data + 1);
+      const b2 = view.getUint8(data + 2);
+      const b3 = view.getUint8(data + 3);
+      const b4 = view.getUint8(data + 4);
+      result.width = 1 + (b1 | ((b2 & 0x3F) << 8));
+      result.height = 1 + ((b2 >> 6) | (b3 << 2) | ((b4 & 0x0F) << 10));
+      result.bitDepth = 8;
+      result.colorType = (b4 & 0x10) ? 'rgba' : 'rgb';
+    } else if (chunkType === 'VP8X' && data + 10 <= view.byteLength) {
+      const flags = view.getUint8(data);
+      result.width = 1 + (view.getUint8(data + 4) | (view.getUint8(data + 5) << 8) | (view.getUint8(data + 6) << 16));
+      result.height = 1 + (view.getUint8(data + 7) | (view.getUint8(data + 8) << 8) | (view.getUint8(data + 9) << 16));
+      result.bitDepth = 8;
+      result.colorType = (flags & 0x10) ? 'rgba' : 'rgb';
+      result.animated = Boolean(flags & 0x02);
+    } else if (chunkType === 'ANMF') {
+      frameCount++;
+    } else if (chunkType === 'EXIF') {
+      const tags = readTiffIfd0(view, data);
+      if (tags && tags[0x0112]) {
+        result.orientation = tags[0x0112];
+      }
     }
+
+    // chunk按偶数字节对齐
+    offset = data + size + (size % 2);
   }
 
-  return { width, height };
+  if (frameCount > 0) {
+    result.frameCount = frameCount;
+    // 最后一个chunk被截断，说明还有未读取的帧
+    if (offset > view.byteLength) {
+      result.frameCountPartial = true;
+    }
+  }
+  return result;
 }
 
-// 创建标准化的图片对象
-function createImageObject(src, alt, width, height, type, elementType) {
+// BMP：BITMAPINFOHEADER（或OS/2的BITMAPCOREHEADER）中的尺寸和位深
+function parseBmpHeader(view) {
+  const dibSize = view.getUint32(14, true);
+  if (dibSize === 12) {
+    return {
+      width: view.getUint16(18, true),
+      height: view.getUint16(20, true),
+      bitDepth: view.getUint16(24, true),
+      frameCount: 1
+    };
+  }
+  const bitDepth = view.getUint16(28, true);
   return {
-    src: src,
-    alt: alt || '',
-    width: width,
-    height: height,
-    type: type,
-    elementType: elementType
+    width: Math.abs(view.getInt32(18, true)),
+    height: Math.abs(view.getInt32(22, true)),
+    bitDepth: bitDepth,
+    colorType: bitDepth <= 8 ? 'indexed' : (bitDepth === 32 ? 'rgba' : 'rgb'),
+    frameCount: 1
   };
 }
 
-// 提取img标签中的图片
-function extractImgImages(images, seenUrls) {
-  const imgElements = document.querySelectorAll('img');
-  console.log('找到', imgElements.length, '个img标签');
-  
-  for (const img of imgElements) {
-    let src = img.src;
+// ICO：取目录中最大的一项，帧数为图标数量
+function parseIcoHeader(view) {
+  const count = view.getUint16(4, true);
+  const result = { width: 0, height: 0, frameCount: count };
+  for (let i = 0; i < count; i++) {
+    const entry = 6 + i * 16;
+    if (entry + 16 > view.byteLength) break;
+    // 0表示256
+    const width = view.getUint8(entry) || 256;
+    const height = view.getUint8(entry + 1) || 256;
+    if (width * height > result.width * result.height) {
+      result.width = width;
+      result.height = height;
+      result.bitDepth = view.getUint16(entry + 6, true) || undefined;
+    }
+  }
+  return result;
+}
 
-    // 检测lazy-loaded图片
-    const dataSrc = img.getAttribute('data-src');
-    const dataSrcSet = img.getAttribute('data-srcset');
-    const dataOriginal = img.getAttribute('data-original');
+// AVIF/HEIC：meta > iprp > ipco中的ispe（尺寸）、pixi（位深）和irot（旋转）
+function parseIsoBmffHeader(view) {
+  const result = { width: 0, height: 0, frameCount: 1 };
+  // 需要展开子box的容器；meta是full box，子box前有4字节版本和标志
+  const containers = { meta: 4, iprp: 0, ipco: 0 };
 
-    // 优先使用真实的图片URL
-    if (dataSrc) {
-      src = dataSrc;
-    } else if (dataOriginal) {
-      src = dataOriginal;
+  const walk = (start, end) => {
+    let offset = start;
+    while (offset + 8 <= end) {
+      let size = view.getUint32(offset);
+      const boxType = readAscii(view, offset + 4, 4);
+      let headerSize = 8;
+      if (size === 1 && offset + 16 <= end) {
+        // 64位大小，文件头范围内高32位总是0
+        size = view.getUint32(offset + 12);
+        headerSize = 16;
+      } else if (size === 0) {
+        size = end - offset;
+      }
+      if (size < headerSize) break;
+      const boxEnd = Math.min(offset + size, end);
+      const data = offset + headerSize;
+
+      if (boxType in containers) {
+        walk(data + containers[boxType], boxEnd);
+      } else if (boxType === 'ispe' && data + 12 <= view.byteLength) {
+        // 主图通常最大，缩略图的ispe更小
+        const width = view.getUint32(data + 4);
+        const height = view.getUint32(data + 8);
+        if (width * height > result.width * result.height) {
+          result.width = width;
+          result.height = height;
+        }
+      } else if (boxType === 'pixi' && data + 6 <= view.byteLength && !result.bitDepth) {
+        const channels = view.getUint8(data + 4);
+        result.bitDepth = view.getUint8(data + 5);
+        result.colorType = channels === 1 ? 'grayscale' : (channels === 4 ? 'rgba' : 'rgb');
+      } else if (boxType === 'irot' && data < view.byteLength) {
+        result.rotation = (view.getUint8(data) & 0x03) * 90;
+      }
+      offset += size;
     }
+  };
 
-    // 处理URL
-    src = processImageUrl(src);
+  walk(0, view.byteLength);
+  return result;
+}
 
-    if (src && !seenUrls.has(src)) {
-      seenUrls.add(src);
-      
-      // 获取尺寸
-      const { width, height } = getImageDimensions(img);
+// TIFF：IFD0中的尺寸、位深、颜色和方向，IFD链的长度为页数
+function parseTiffHeader(view) {
+  const photometrics = { 0: 'grayscale', 1: 'grayscale', 2: 'rgb', 3: 'indexed', 5: 'cmyk', 6: 'ycbcr' };
+  const tags = readTiffIfd0(view, 0) || {};
+  const result = {
+    width: tags[0x0100] || 0,
+    height: tags[0x0101] || 0,
+    frameCount: tags.ifdCount || 1
+  };
+  if (tags[0x0102]) result.bitDepth = tags[0x0102];
+  if (tags[0x0106] !== undefined) result.colorType = photometrics[tags[0x0106]] || 'unknown';
+  if (tags[0x0112]) result.orientation = tags[0x0112];
+  return result;
+}
 
-      // 先通过URL获取类型，然后尝试通过magic number验证
+/**
+ * 读取TIFF结构（TIFF文件或EXIF数据）中IFD0的数值标签
+ * 只读取能放在条目内的SHORT/LONG值，多值的BitsPerSample取第一个
+ * @param {DataView} view 数据视图
+ * @param {number} start TIFF头的起始位置
+ * @return {Object|null} 标签号到数值的映射，另有ifdCount表示读取范围内的IFD数量
+ */
+function readTiffIfd0(view, start) {
+  if (start + 8 > view.byteLength) return null;
+  const byteOrder = view.getUint16(start);
+  if (byteOrder !== 0x4949 && byteOrder !== 0x4D4D) return null;
+  const littleEndian = byteOrder === 0x4949;
+
+  const tags = {};
+  let ifdOffset = view.getUint32(start + 4, littleEndian);
+  let ifdCount = 0;
+
+  while (ifdOffset && start + ifdOffset + 2 <= view.byteLength && ifdCount < 1000) {
+    const ifdStart = start + ifdOffset;
+    const entryCount = view.getUint16(ifdStart, littleEndian);
+    ifdCount++;
+
+    if (ifdCount === 1) {
+      for (let i = 0; i < entryCount; i++) {
+        const entry = ifdStart + 2 + i * 12;
+        if (entry + 12 > view.byteLength) break;
+        const tag = view.getUint16(entry, littleEndian);
+        const fieldType = view.getUint16(entry + 2, littleEndian);
+        const count = view.getUint32(entry + 4, littleEndian);
+        if (fieldType === 3) {
+          // SHORT：1到2个值放在条目内，否则是偏移
+          if (count <= 2) {
+            tags[tag] = view.getUint16(entry + 8, littleEndian);
+          } else {
+            const valueOffset = start + view.getUint32(entry + 8, littleEndian);
+            if (valueOffset + 2 <= view.byteLength) {
+              tags[tag] = view.getUint16(valueOffset, littleEndian);
+            }
+          }
+        } else if (fieldType === 4 && count === 1) {
+          tags[tag] = view.getUint32(entry + 8, littleEndian);
+        }
+      }
+    }
+
+    const nextOffsetPosition = ifdStart + 2 + entryCount * 12;
+    if (nextOffsetPosition + 4 > view.byteLength) break;
+    ifdOffset = view.getUint32(nextOffsetPosition, littleEndian);
+  }
+
+  tags.ifdCount = ifdCount;
+  return tags;
+}
+
+// EXIF中需要展示的标签（IFD0和Exif子IFD），标签号到字段名
+var EXIF_TAG_NAMES = {
+  0x010E: 'description',
+  0x010F: 'make',
+  0x0110: 'model',
+  0x0112: 'orientation',
+  0x0131: 'software',
+  0x0132: 'modifyDate',
+  0x013B: 'artist',
+  0x8298: 'copyright',
+  0x829A: 'exposureTime',
+  0x829D: 'fNumber',
+  0x8827: 'iso',
+  0x9003: 'dateTaken',
+  0x920A: 'focalLength',
+  0xA405: 'focalLength35mm',
+  0xA433: 'lensMake',
+  0xA434: 'lensModel'
+};
+
+// IPTC-IIM第2记录中需要展示的数据集，编号到字段名
+var IPTC_DATASET_NAMES = {
+  5: 'title',
+  25: 'keywords',
+  80: 'byline',
+  90: 'city',
+  95: 'province',
+  101: 'country',
+  105: 'headline',
+  110: 'credit',
+  115: 'source',
+  116: 'copyright',
+  120: 'caption'
+};
+
+// XMP中需要展示的属性：字段名到[命名空间, 属性名]
+var XMP_PROPERTIES = {
+  title: ['http://purl.org/dc/elements/1.1/', 'title'],
+  creator: ['http://purl.org/dc/elements/1.1/', 'creator'],
+  description: ['http://purl.org/dc/elements/1.1/', 'description'],
+  rights: ['http://purl.org/dc/elements/1.1/', 'rights'],
+  subject: ['http://purl.org/dc/elements/1.1/', 'subject'],
+  creatorTool: ['http://ns.adobe.com/xap/1.0/', 'CreatorTool'],
+  createDate: ['http://ns.adobe.com/xap/1.0/', 'CreateDate'],
+  webStatement: ['http://ns.adobe.com/xap/1.0/rights/', 'WebStatement'],
+  usageTerms: ['http://ns.adobe.com/xap/1.0/rights/', 'UsageTerms'],
+  credit: ['http://ns.adobe.com/photoshop/1.0/', 'Credit'],
+  city: ['http://ns.adobe.com/photoshop/1.0/', 'City'],
+  country: ['http://ns.adobe.com/photoshop/1.0/', 'Country']
+};
+
+/**
+ * 解析图片中的EXIF、GPS、XMP和IPTC元数据
+ * 支持JPEG（APP1/APP13）、TIFF、PNG（eXIf）、WebP（EXIF/XMP chunk）和AVIF/HEIC（Exif项）
+ * @param {DataView} view 图片文件开头的字节
+ * @param {string} type 图片类型
+ * @return {Object|null} 包含exif、gps、xmp、iptc中有内容的部分，没有元数据时返回null
+ */
+function parseImageMetadata(view, type) {
+  const bytes = new Uint8Array(view.buffer, view.byteOffset, view.byteLength);
+  const metadata = {};
+  const addTiff = (start) => {
+    const tiff = readTiffMetadata(view, start);
+    if (tiff && Object.keys(tiff.exif).length > 0) metadata.exif = tiff.exif;
+    if (tiff && Object.keys(tiff.gps).length > 0) metadata.gps = tiff.gps;
+  };
+
+  try {
+    if (type === 'jpg') {
+      for (const segment of findJpegSegments(view)) {
+        if (segment.marker === 0xE1 && readAscii(view, segment.data, 6) === 'Exif\0\0') {
+          addTiff(segment.data + 6);
+        } else if (segment.marker === 0xED && readAscii(view, segment.data, 14) === 'Photoshop 3.0\0') {
+          const iptc = readPhotoshopIptc(view, segment.data + 14, segment.end);
+          if (iptc) metadata.iptc = iptc;
+        }
+      }
+    } else if (type === 'tiff') {
+      addTiff(0);
+    } else if (type === 'png') {
+      // eXIf必须在IDAT之前
+      let offset = 8;
+      while (offset + 8 <= view.byteLength) {
+        const length = view.getUint32(offset);
+        const chunkType = readAscii(view, offset + 4, 4);
+        if (chunkType === 'eXIf') {
+          addTiff(offset + 8);
+          break;
+        }
+        if (chunkType === 'IDAT' || chunkType === 'IEND') break;
+        offset += 12 + length;
+      }
+    } else if (type === 'webp') {
+      let offset = 12;
+      while (offset + 8 <= view.byteLength) {
+        const size = view.getUint32(offset + 4, true);
+        if (readAscii(view, offset, 4) === 'EXIF') {
+          // 部分编码器在TIFF头前保留了JPEG的Exif前缀
+          addTiff(offset + 8 + (readAscii(view, offset + 8, 6) === 'Exif\0\0' ? 6 : 0));
+        }
+        offset += 8 + size + (size % 2);
+      }
+    } else if (type === 'avif' || type === 'heic') {
+      // Exif项的数据以偏移量和Exif前缀开头，直接搜索前缀即可，不需要解析iloc
+      const exifStart = indexOfBytes(bytes, 'Exif\0\0', 0);
+      if (exifStart !== -1) addTiff(exifStart + 6);
+    }
+
+    // XMP是XML文本，所有格式都直接搜索数据包
+    const xmp = readXmpPacket(bytes);
+    if (xmp) metadata.xmp = xmp;
+  } catch (error) {
+    // 字节不完整时可能越界，保留已解析的部分
+    console.warn('解析图片元数据失败:', type, error);
+  }
+
+  return Object.keys(metadata).length > 0 ? metadata : null;
+}
+
+// 列出JPEG图像数据之前的所有标记段
+function findJpegSegments(view) {
+  const segments = [];
+  let offset = 2;
+  while (offset + 4 <= view.byteLength) {
+    if (view.getUint8(offset) !== 0xFF) {
+      offset++;
+      continue;
+    }
+    const marker = view.getUint8(offset + 1);
+    // 填充字节和无长度的标记
+    if (marker === 0xFF || marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) {
+      offset += marker === 0xFF ? 1 : 2;
+      continue;
+    }
+    if (marker === 0xDA) break;
+    const length = view.getUint16(offset + 2);
+    segments.push({
+      marker: marker,
+      start: offset,
+      data: offset + 4,
+      end: Math.min(offset + 2 + length, view.byteLength)
+    });
+    offset += 2 + length;
+  }
+  return segments;
+}
+
+// 在字节中查找ASCII字符串，找不到返回-1
+function indexOfBytes(bytes, text, from) {
+  const first = text.charCodeAt(0);
+  for (let i = from; i <= bytes.length - text.length; i++) {
+    if (bytes[i] !== first) continue;
+    let matched = true;
+    for (let j = 1; j < text.length; j++) {
+      if (bytes[i + j] !== text.charCodeAt(j)) {
+        matched = false;
+        break;
+      }
+    }
+    if (matched) return i;
+  }
+  return -1;
+}
+
+/**
+ * 读取TIFF结构（TIFF文件或EXIF数据）中用于展示的标签
+ * @param {DataView} view 数据视图
+ * @param {number} start TIFF头的起始位置
+ * @return {Object|null} exif（EXIF_TAG_NAMES中的字段）和gps（latitude、longitude、altitude），不是TIFF结构时返回null
+ */
+function readTiffMetadata(view, start) {
+  if (start + 8 > view.byteLength) return null;
+  const byteOrder = view.getUint16(start);
+  if (byteOrder !== 0x4949 && byteOrder !== 0x4D4D) return null;
+  const littleEndian = byteOrder === 0x4949;
+
+  const exifTags = Object.keys(EXIF_TAG_NAMES).map(Number);
+  const ifd0 = readTiffIfd(view, start, view.getUint32(start + 4, littleEndian), littleEndian,
+    [...exifTags, 0x8769, 0x8825]);
+  // Exif子IFD（拍摄参数）和GPS子IFD
+  const exifIfd = ifd0[0x8769] ? readTiffIfd(view, start, ifd0[0x8769], littleEndian, exifTags) : {};
+  const gpsIfd = ifd0[0x8825] ? readTiffIfd(view, start, ifd0[0x8825], littleEndian, [1, 2, 3, 4, 5, 6]) : {};
+
+  const exif = {};
+  for (const tag of exifTags) {
+    const value = exifIfd[tag] !== undefined ? exifIfd[tag] : ifd0[tag];
+    if (value !== undefined && value !== '' && !Array.isArray(value)) {
+      exif[EXIF_TAG_NAMES[tag]] = value;
+    }
+  }
+
+  const gps = {};
+  // 纬度和经度是度、分、秒三个有理数
+  const toDegrees = (dms, ref, negativeRef) => {
+    if (!Array.isArray(dms) || dms.length < 3) return undefined;
+    const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600;
+    return Math.round((ref === negativeRef ? -degrees : degrees) * 1e6) / 1e6;
+  };
+  const latitude = toDegrees(gpsIfd[2], gpsIfd[1], 'S');
+  const longitude = toDegrees(gpsIfd[4], gpsIfd[3], 'W');
+  if (latitude !== undefined && longitude !== undefined) {
+    gps.latitude = latitude;
+    gps.longitude = longitude;
+  }
+  if (typeof gpsIfd[6] === 'number') {
+    // 海拔参考为1表示海平面以下
+    gps.altitude = Math.round((gpsIfd[5] === 1 ? -gpsIfd[6] : gpsIfd[6]) * 10) / 10;
+  }
+
+  return { exif: exif, gps: gps };
+}
+
+/**
+ * 读取一个IFD中指定标签的值
+ * @param {DataView} view 数据视图
+ * @param {number} start TIFF头的起始位置
+ * @param {number} ifdOffset IFD相对TIFF头的偏移
+ * @param {boolean} littleEndian 是否为小端字节序
+ * @param {Array<number>} wantedTags 需要读取的标签号
+ * @return {Object} 标签号到值的映射；ASCII为字符串，数值为数字，多个值为数组，有理数换算为小数
+ */
+function readTiffIfd(view, start, ifdOffset, littleEndian, wantedTags) {
+  const tags = {};
+  const ifdStart = start + ifdOffset;
+  if (!ifdOffset || ifdStart + 2 > view.byteLength) return tags;
+
+  const typeSizes = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+  const entryCount = view.getUint16(ifdStart, littleEndian);
+  for (let i = 0; i < entryCount; i++) {
+    const entry = ifdStart + 2 + i * 12;
+    if (entry + 12 > view.byteLength) break;
+    const tag = view.getUint16(entry, littleEndian);
+    if (!wantedTags.includes(tag)) continue;
+
+    const fieldType = view.getUint16(entry + 2, littleEndian);
+    const count = view.getUint32(entry + 4, littleEndian);
+    const size = typeSizes[fieldType];
+    if (!size || count === 0) continue;
+    // 不超过4字节的值直接放在条目内，否则是偏移
+    const valueStart = size * count <= 4 ? entry + 8 : start + view.getUint32(entry + 8, littleEndian);
+    if (valueStart + size * count > view.byteLength) continue;
+
+    if (fieldType === 2) {
+      const text = new TextDecoder().decode(new Uint8Array(view.buffer, view.byteOffset + valueStart, count));
+      tags[tag] = text.replace(/\0[\s\S]*$/, '').trim();
+      continue;
+    }
+    const values = [];
+    for (let j = 0; j < Math.min(count, 16); j++) {
+      const position = valueStart + j * size;
+      if (fieldType === 1 || fieldType === 7) {
+        values.push(view.getUint8(position));
+      } else if (fieldType === 3) {
+        values.push(view.getUint16(position, littleEndian));
+      } else if (fieldType === 4) {
+        values.push(view.getUint32(position, littleEndian));
+      } else if (fieldType === 9) {
+        values.push(view.getInt32(position, littleEndian));
+      } else {
+        const numerator = fieldType === 5 ? view.getUint32(position, littleEndian) : view.getInt32(position, littleEndian);
+        const denominator = fieldType === 5 ? view.getUint32(position + 4, littleEndian) : view.getInt32(position + 4, littleEndian);
+        values.push(denominator ? numerator / denominator : 0);
+      }
+    }
+    tags[tag] = values.length === 1 ? values[0] : values;
+  }
+  return tags;
+}
+
+/**
+ * 从Photoshop图像资源（JPEG APP13）中读取IPTC-IIM数据
+ * @param {DataView} view 数据视图
+ * @param {number} offset 第一个8BIM资源的位置
+ * @param {number} end 资源数据的结束位置
+ * @return {Object|null} IPTC_DATASET_NAMES中的字段，keywords为数组；没有IPTC数据时返回null
+ */
+function readPhotoshopIptc(view, offset, end) {
+  while (offset + 12 <= end && readAscii(view, offset, 4) === '8BIM') {
+    const resourceId = view.getUint16(offset + 4);
+    // Pascal字符串名称，长度字节加内容补齐到偶数
+    const nameLength = view.getUint8(offset + 6);
+    const sizeOffset = offset + 6 + nameLength + 1 + ((nameLength + 1) % 2);
+    if (sizeOffset + 4 > end) break;
+    const size = view.getUint32(sizeOffset);
+    const data = sizeOffset + 4;
+    if (resourceId === 0x0404) {
+      return readIptcRecords(view, data, Math.min(data + size, end));
+    }
+    offset = data + size + (size % 2);
+  }
+  return null;
+}
+
+// 读取IPTC-IIM数据集（0x1C 记录号 数据集号 长度 数据）
+function readIptcRecords(view, offset, end) {
+  const iptc = {};
+  const decoder = new TextDecoder();
+  while (offset + 5 <= end && view.getUint8(offset) === 0x1C) {
+    const record = view.getUint8(offset + 1);
+    const dataset = view.getUint8(offset + 2);
+    const length = view.getUint16(offset + 3);
+    // 最高位为1表示扩展长度，展示用的字段不会用到
+    if (length & 0x8000) break;
+    const data = offset + 5;
+    if (data + length > end) break;
+
+    const name = record === 2 ? IPTC_DATASET_NAMES[dataset] : null;
+    if (name) {
+      const value = decoder.decode(new Uint8Array(view.buffer, view.byteOffset + data, length)).trim();
+      if (name === 'keywords') {
+        iptc.keywords = [...(iptc.keywords || []), value];
+      } else if (value) {
+        iptc[name] = value;
+      }
+    }
+    offset = data + length;
+  }
+  return Object.keys(iptc).length > 0 ? iptc : null;
+}
+
+/**
+ * 查找并解析XMP数据包
+ * @param {Uint8Array} bytes 图片文件的字节
+ * @return {Object|null} XMP_PROPERTIES中的字段，多个值用逗号连接；没有XMP或无法解析时返回null
+ */
+function readXmpPacket(bytes) {
+  const start = indexOfBytes(bytes, '<x:xmpmeta', 0);
+  if (start === -1) return null;
+  const closing = '</x:xmpmeta>';
+  const end = indexOfBytes(bytes, closing, start);
+  if (end === -1) return null;
+
+  const text = new TextDecoder().decode(bytes.subarray(start, end + closing.length));
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) return null;
+
+  const rdfNamespace = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+  const descriptions = Array.from(doc.getElementsByTagNameNS(rdfNamespace, 'Description'));
+  const xmp = {};
+  for (const [name, [namespace, property]] of Object.entries(XMP_PROPERTIES)) {
+    // 属性写法：<rdf:Description dc:creator="..."/>
+    const owner = descriptions.find(description => description.hasAttributeNS(namespace, property));
+    let value = owner ? owner.getAttributeNS(namespace, property) : '';
+    // 元素写法：单个值，或rdf:Seq/Bag/Alt中的多个rdf:li
+    const element = doc.getElementsByTagNameNS(namespace, property)[0];
+    if (!value && element) {
+      const items = Array.from(element.getElementsByTagNameNS(rdfNamespace, 'li'));
+      value = items.length > 0
+        ? items.map(item => item.textContent.trim()).filter(Boolean).join(', ')
+        : element.textContent.trim();
+    }
+    if (value && value.trim()) {
+      xmp[name] = value.trim();
+    }
+  }
+  return Object.keys(xmp).length > 0 ? xmp : null;
+}
+
+/**
+ * 读取响应的前maxBytes个字节，读够后取消剩余的传输
+ * @param {Response} response fetch响应
+ * @param {number} maxBytes 最多读取的字节数
+ * @return {Promise<ArrayBuffer>} 读取到的字节
+ */
+async function readResponseBytes(response, maxBytes) {
+  if (!response.body) {
+    const buffer = await response.arrayBuffer();
+    return buffer.slice(0, maxBytes);
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let total = 0;
+  while (total < maxBytes) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    total += value.byteLength;
+  }
+  reader.cancel().catch(() => {});
+
+  const bytes = new Uint8Array(Math.min(total, maxBytes));
+  let offset = 0;
+  for (const chunk of chunks) {
+    const length = Math.min(chunk.byteLength, bytes.byteLength - offset);
+    bytes.set(chunk.subarray(0, length), offset);
+    offset += length;
+    if (offset >= bytes.byteLength) break;
+  }
+  return bytes.buffer;
+}
+
+/**
+ * 用Range请求读取图片开头的字节
+ * 服务器不支持Range时返回完整响应，只读取需要的部分
+ * @param {string} url 图片URL
+ * @param {number} maxBytes 读取的字节数
+ * @return {Promise<ArrayBuffer|null>} 读取到的字节，失败（如跨域受限）返回null
+ */
+async function fetchImageHeaderBytes(url, maxBytes) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), 5000); // 5秒超时
+
+  try {
+    const response = await fetch(url, {
+      method: 'GET',
+      mode: 'cors',
+      headers: { Range: `bytes=0-${maxBytes - 1}` },
+      signal: controller.signal
+    });
+    if (!response.ok) {
+      return null;
+    }
+    return await readResponseBytes(response, maxBytes);
+  } catch (error) {
+    console.warn('读取图片文件头失败:', url, error);
+    return null;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * 通过文件头获取图片的类型、尺寸和元数据
+ * 结果按URL缓存，提取时读取过的图片在详情面板中不再重复请求
+ * @param {string} url 图片URL
+ * @return {Promise<Object|null>} parseImageHeader的结果，失败返回null
+ */
+function getImageHeaderFromUrl(url) {
+  const cached = getImageHeaderCache().get(url);
+  if (cached) return cached;
+
+  const promise = (async () => {
+    let buffer = await fetchImageHeaderBytes(url, IMAGE_HEADER_BYTES);
+    if (!buffer) return null;
+
+    let header = parseImageHeader(buffer);
+    // JPEG在读取范围内没有找到SOF时扩大范围重试
+    if (header && header.type === 'jpg' && !header.width && buffer.byteLength >= IMAGE_HEADER_BYTES) {
+      buffer = await fetchImageHeaderBytes(url, IMAGE_HEADER_MAX_BYTES);
+      header = buffer ? parseImageHeader(buffer) : header;
+    }
+    return header;
+  })();
+  cacheImageHeader(url, promise);
+  return promise;
+}
+
+// 文件头缓存，保存解析结果的Promise，同一URL的并发请求也只读取一次
+function getImageHeaderCache() {
+  if (!window.imageListHeaderCache) {
+    window.imageListHeaderCache = new Map();
+  }
+  return window.imageListHeaderCache;
+}
+
+// 写入文件头缓存，超出上限时移除最早的条目
+function cacheImageHeader(url, promise) {
+  const cache = getImageHeaderCache();
+  cache.delete(url);
+  cache.set(url, promise);
+  if (cache.size > IMAGE_HEADER_CACHE_SIZE) {
+    cache.delete(cache.keys().next().value);
+  }
+}
+
+/**
+ * 读取详情面板使用的文件头信息（尺寸、格式和EXIF/XMP/IPTC）
+ * 页面中跨域读取失败时返回null，background随后读取文件开头的字节，通过data传回解析
+ * @param {string} url 图片URL
+ * @param {string} [data] background读取的文件开头字节（base64）
+ * @return {Promise<Object|null>} parseImageHeader的结果，无法读取或识别格式时返回null
+ */
+async function getImageHeaderForDetails(url, data) {
+  if (!data) {
+    return getImageHeaderFromUrl(url);
+  }
+  const header = parseImageHeader(base64ToArrayBuffer(data));
+  // 替换缓存中跨域读取失败的结果
+  cacheImageHeader(url, Promise.resolve(header));
+  return header;
+}
+
+// 将base64字符串解码为字节
+function base64ToArrayBuffer(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+}
+
+async function getImageTypeByFetch(url) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), 5000); // 5秒超时
+
+  try {
+    // 尝试多种fetch配置，增加超时和重试机制
+    const fetchConfigs = [
+      {
+        method: 'GET',
+        mode: 'cors',
+        cache: 'no-cache',
+        // 类型检测只需要文件开头
+        headers: { Range: `bytes=0-${IMAGE_HEADER_BYTES - 1}` },
+        signal: controller.signal
+      },
+      {
+        method: 'GET',
+        mode: 'no-cors',
+        cache: 'default',
+        signal: controller.signal
+      }
+    ];
+
+    let response;
+    for (const config of fetchConfigs) {
+      try {
+        response = await fetch(url, config);
+        if (response.ok || response.type === 'opaque') {
+          break;
+        }
+      } catch (error) {
+        // 尝试下一个配置
+        continue;
+      }
+    }
+
+    if (!response) {
+      throw new Error('所有fetch配置都失败');
+    }
+
+    // 对于no-cors请求，我们无法获取响应体，但可以从其他信息推断
+    if (response.type === 'opaque') {
+      // 尝试从Content-Type头推断类型
+      const contentType = response.headers.get('Content-Type');
+      if (contentType && contentType.startsWith('image/')) {
+        const typeMatch = contentType.match(/image\/(.*)/);
+        if (typeMatch) {
+          const type = typeMatch[1].toLowerCase();
+          // 处理常见的MIME类型
+          if (type === 'jpeg') return 'jpg';
+          if (['jpg', 'png', 'gif', 'webp', 'bmp', 'svg+xml', 'avif', 'tiff', 'ico'].includes(type)) {
+            return type.replace('+xml', '');
+          }
+        }
+      }
+      throw new Error('无法获取响应体');
+    }
+
+    const buffer = await readResponseBytes(response, IMAGE_HEADER_BYTES);
+    return detectImageTypeByMagicNumber(buffer);
+  } catch (error) {
+    console.warn('通过fetch检测图片类型失败:', url, error);
+
+    // 最后尝试：从URL路径和参数中推断类型
+    const urlLower = url.toLowerCase();
+    if (urlLower.includes('image/jpeg') || urlLower.includes('image/jpg')) return 'jpg';
+    if (urlLower.includes('image/png')) return 'png';
+    if (urlLower.includes('image/gif')) return 'gif';
+    if (urlLower.includes('image/webp')) return 'webp';
+    if (urlLower.includes('image/bmp')) return 'bmp';
+    if (urlLower.includes('image/svg')) return 'svg';
+    if (urlLower.includes('image/avif')) return 'avif';
+    if (urlLower.includes('image/tiff')) return 'tiff';
+    if (urlLower.includes('image/ico')) return 'ico';
+
+    return 'unknown';
+  }
+}
+
+/**
+ * 提取网页中的所有图片
+ * @return {Array} 图片信息数组
+ */
+// 处理图片URL，包括相对路径、协议相对URL、解码等
+function processImageUrl(url) {
+  if (!url) return null;
+
+  // 处理相对路径和特殊URL
+  if (!url.startsWith('http') && !url.startsWith('data:')) {
+    // 处理协议相对URL
+    if (url.startsWith('//')) {
+      url = window.location.protocol + url;
+    } else {
+      // 处理普通相对路径
+      try {
+        url = new URL(url, window.location.href).href;
+      } catch (error) {
+        console.warn('无法解析URL:', url, error);
+        // 尝试简单的路径拼接
+        const baseUrl = window.location.href.replace(/[^/]+$/, '');
+        url = baseUrl + url;
+      }
+    }
+  }
+
+  // 清理URL中的特殊字符和编码
+  try {
+    url = decodeURIComponent(url);
+  } catch (error) {
+    // 忽略解码错误
+  }
+
+  return url;
+}
+
+// 从img元素中获取尺寸信息
+function getImageDimensions(imgElement) {
+  let width = 0;
+  let height = 0;
+
+  // 尝试获取原始尺寸
+  if (imgElement.naturalWidth && imgElement.naturalHeight) {
+    width = imgElement.naturalWidth;
+    height = imgElement.naturalHeight;
+  }
+  // 尝试获取当前显示尺寸
+  else if (imgElement.width && imgElement.height) {
+    width = imgElement.width;
+    height = imgElement.height;
+  }
+  // 尝试从style或属性中获取尺寸
+  else {
+    // 从style属性中获取
+    const styleWidth = imgElement.style.width;
+    const styleHeight = imgElement.style.height;
+    if (styleWidth) {
+      const widthMatch = styleWidth.match(/(\d+)px/);
+      if (widthMatch) width = parseInt(widthMatch[1]);
+    }
+    if (styleHeight) {
+      const heightMatch = styleHeight.match(/(\d+)px/);
+      if (heightMatch) height = parseInt(heightMatch[1]);
+    }
+    // 从width/height属性中获取
+    if (!width && imgElement.getAttribute('width')) {
+      width = parseInt(imgElement.getAttribute('width')) || 0;
+    }
+    if (!height && imgElement.getAttribute('height')) {
+      height = parseInt(imgElement.getAttribute('height')) || 0;
+    }
+    // 从data属性中获取尺寸
+    if (!width && imgElement.getAttribute('data-width')) {
+      width = parseInt(imgElement.getAttribute('data-width')) || 0;
+    }
+    if (!height && imgElement.getAttribute('data-height')) {
+      height = parseInt(imgElement.getAttribute('data-height')) || 0;
+    }
+  }
+
+  return { width, height };
+}
+
+// 在指定根节点范围内查找元素（根节点本身匹配时也包含在内），包括开放的shadow root内部
+function queryAllWithin(root, selector) {
+  const elements = Array.from(root.querySelectorAll(selector));
+  if (root !== document && root.matches && root.matches(selector)) {
+    elements.unshift(root);
+  }
+  for (const shadowRoot of collectShadowRoots(root)) {
+    elements.push(...shadowRoot.querySelectorAll(selector));
+  }
+  return elements;
+}
+
+// 收集根节点下所有开放的shadow root（包括嵌套的），同一轮提取内缓存结果
+function collectShadowRoots(root) {
+  if (!window.imageListShadowRootCache) {
+    window.imageListShadowRootCache = new WeakMap();
+  }
+  const cached = window.imageListShadowRootCache.get(root);
+  if (cached) return cached;
+
+  const shadowRoots = [];
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+  let node = root.nodeType === Node.ELEMENT_NODE ? root : walker.nextNode();
+  while (node) {
+    if (node.shadowRoot) {
+      shadowRoots.push(node.shadowRoot, ...collectShadowRoots(node.shadowRoot));
+      observeShadowRoot(node.shadowRoot);
+    }
+    node = walker.nextNode();
+  }
+
+  window.imageListShadowRootCache.set(root, shadowRoots);
+  return shadowRoots;
+}
+
+// shadow root内部的变化不会冒泡到document，需要单独观察
+function observeShadowRoot(shadowRoot) {
+  if (!window.imageListObserver) return;
+  if (!window.imageListObservedRoots) {
+    window.imageListObservedRoots = new WeakSet();
+  }
+  if (window.imageListObservedRoots.has(shadowRoot)) return;
+  window.imageListObservedRoots.add(shadowRoot);
+  window.imageListObserver.observe(shadowRoot, {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    attributeFilter: IMAGE_MUTATION_ATTRIBUTES
+  });
+}
+
+// 生成元素的简短描述，如 my-card#main.product
+function describeElement(element) {
+  let description = element.tagName.toLowerCase();
+  if (element.id) {
+    description += '#' + element.id;
+  }
+  if (typeof element.className === 'string' && element.className.trim()) {
+    description += '.' + element.className.trim().split(/\s+/).join('.');
+  }
+  return description;
+}
+
+// 生成在元素所在文档（或shadow root）中定位元素的CSS选择器，如 #main > div:nth-of-type(2) > img
+function getElementSelector(element) {
+  const parts = [];
+  let current = element;
+  while (current && current.nodeType === Node.ELEMENT_NODE) {
+    // id在文档中唯一，到此为止
+    if (current.id) {
+      parts.unshift('#' + CSS.escape(current.id));
+      break;
+    }
+    let part = current.tagName.toLowerCase();
+    const parent = current.parentElement;
+    if (parent) {
+      const siblings = Array.from(parent.children).filter(child => child.tagName === current.tagName);
+      if (siblings.length > 1) {
+        part += `:nth-of-type(${siblings.indexOf(current) + 1})`;
+      }
+    }
+    parts.unshift(part);
+    current = parent;
+  }
+  return parts.join(' > ');
+}
+
+// 获取元素所在shadow root的宿主元素描述，不在shadow DOM中时返回空字符串
+function getShadowHostDescriptor(element) {
+  const rootNode = element.getRootNode ? element.getRootNode() : null;
+  if (rootNode && rootNode instanceof ShadowRoot) {
+    return describeElement(rootNode.host);
+  }
+  return '';
+}
+
+// 为来源元素分配稳定的引用ID，重复提取时同一元素得到同一ID
+// ID带有每次页面加载随机生成的前缀，旧索引中的ID不会指向新页面的元素
+function getElementReference(element) {
+  if (!window.imageListElementIds) {
+    window.imageListElementIds = new WeakMap();
+    window.imageListElementRefs = new Map();
+    window.imageListElementPrefix = Math.random().toString(36).slice(2, 8);
+    window.imageListNextElementId = 1;
+  }
+  let id = window.imageListElementIds.get(element);
+  if (!id) {
+    id = `${window.imageListElementPrefix}-${window.imageListNextElementId++}`;
+    window.imageListElementIds.set(element, id);
+    // 用WeakRef引用，不阻止已移除的元素被回收
+    window.imageListElementRefs.set(id, new WeakRef(element));
+  }
+  return id;
+}
+
+// 移除已被回收或已脱离文档的元素引用，避免引用表随页面变化不断增长
+function pruneElementReferences() {
+  const refs = window.imageListElementRefs;
+  if (!refs) return;
+  for (const [id, ref] of refs) {
+    const element = ref.deref();
+    if (!element || !element.isConnected) {
+      refs.delete(id);
+      if (element) {
+        window.imageListElementIds.delete(element);
+      }
+    }
+  }
+}
+
+// 记录图片URL与来源元素的对应关系
+function trackImageElement(src, element) {
+  if (!window.imageListTrackedElements) {
+    window.imageListTrackedElements = new Map();
+  }
+  const key = normalizeImageUrl(src);
+  let elements = window.imageListTrackedElements.get(key);
+  if (!elements) {
+    elements = new Set();
+    window.imageListTrackedElements.set(key, elements);
+  }
+  elements.add(element);
+}
+
+// 创建标准化的图片对象
+function createImageObject(src, alt, width, height, type, elementType, element) {
+  const image = {
+    src: src,
+    alt: alt || '',
+    width: width,
+    height: height,
+    type: type,
+    elementType: elementType,
+    frameUrl: window.location.href
+  };
+  if (element) {
+    // 记录图片与来源元素的对应关系，用于增量检测图片移除
+    trackImageElement(src, element);
+    const shadowHost = getShadowHostDescriptor(element);
+    if (shadowHost) {
+      image.shadowHost = shadowHost;
+    }
+    // 侧边栏定位和高亮元素、详情面板读取选择器和显示尺寸时使用
+    image.elementId = getElementReference(element);
+    if (element.getAttribute('title')) {
+      image.title = element.getAttribute('title');
+    }
+  }
+  return image;
+}
+
+/**
+ * 解析srcset属性（按HTML规范的候选切分规则）
+ * URL中可以包含逗号（如data URL），描述符中括号内的逗号不作为分隔符
+ * @param {string} srcset srcset属性值
+ * @return {Array<Object>} 候选数组，每项包含url、width（w描述符）、height（h描述符）、density（x描述符）、descriptor
+ */
+function parseSrcset(srcset) {
+  const candidates = [];
+  if (!srcset) return candidates;
+
+  const length = srcset.length;
+  let position = 0;
+
+  while (position < length) {
+    // 跳过空白和逗号
+    while (position < length && /[\s,]/.test(srcset[position])) {
+      position++;
+    }
+    if (position >= length) break;
+
+    // URL：连续的非空白字符
+    const urlStart = position;
+    while (position < length && !/\s/.test(srcset[position])) {
+      position++;
+    }
+    let url = srcset.slice(urlStart, position);
+    const descriptors = [];
+
+    if (url.endsWith(',')) {
+      // URL末尾的逗号是分隔符，没有描述符
+      url = url.replace(/,+$/, '');
+    } else {
+      // 描述符：直到括号外的逗号
+      let descriptor = '';
+      let inParens = false;
+      while (position < length) {
+        const char = srcset[position];
+        position++;
+        if (inParens) {
+          if (char === ')') inParens = false;
+          descriptor += char;
+        } else if (char === '(') {
+          inParens = true;
+          descriptor += char;
+        } else if (char === ',') {
+          break;
+        } else if (/\s/.test(char)) {
+          if (descriptor) {
+            descriptors.push(descriptor);
+            descriptor = '';
+          }
+        } else {
+          descriptor += char;
+        }
+      }
+      if (descriptor) descriptors.push(descriptor);
+    }
+
+    if (!url) continue;
+
+    const candidate = { url: url };
+    for (const descriptor of descriptors) {
+      const match = descriptor.match(/^(\d+(?:\.\d+)?)([wxh])$/i);
+      if (!match) continue;
+      const value = parseFloat(match[1]);
+      const unit = match[2].toLowerCase();
+      if (unit === 'w') candidate.width = Math.round(value);
+      if (unit === 'h') candidate.height = Math.round(value);
+      if (unit === 'x') candidate.density = value;
+    }
+    // 没有描述符时默认为1x
+    if (!candidate.width && !candidate.density) {
+      candidate.density = 1;
+    }
+    candidate.descriptor = descriptors.join(' ') || '1x';
+    candidates.push(candidate);
+  }
+
+  return candidates;
+}
+
+// 创建带来源信息的srcset候选
+function createSrcsetCandidate(parsed, sourceElement) {
+  const candidate = {
+    src: parsed.url,
+    descriptor: parsed.descriptor
+  };
+  if (parsed.width) candidate.width = parsed.width;
+  if (parsed.height) candidate.height = parsed.height;
+  if (parsed.density) candidate.density = parsed.density;
+  // 记录<source>的media和type条件
+  if (sourceElement && sourceElement.tagName === 'SOURCE') {
+    candidate.media = sourceElement.getAttribute('media') || '';
+    candidate.mimeType = sourceElement.getAttribute('type') || '';
+  }
+  return candidate;
+}
+
+// 解析srcset并处理其中的URL
+function buildSrcsetCandidates(srcset, sourceElement) {
+  return parseSrcset(srcset)
+    .map(parsed => {
+      const fullUrl = processImageUrl(parsed.url);
+      return fullUrl ? createSrcsetCandidate({ ...parsed, url: fullUrl }, sourceElement) : null;
+    })
+    .filter(Boolean);
+}
+
+// 收集img的全部候选：所在picture的source、srcset（或懒加载的data-srcset）
+function collectImgCandidates(img) {
+  const candidates = [];
+
+  if (img.parentElement && img.parentElement.tagName === 'PICTURE') {
+    for (const source of img.parentElement.querySelectorAll(':scope > source')) {
+      const srcset = source.getAttribute('srcset') || source.getAttribute('data-srcset');
+      candidates.push(...buildSrcsetCandidates(srcset, source));
+    }
+  }
+
+  const srcset = img.getAttribute('srcset') || img.getAttribute('data-srcset');
+  candidates.push(...buildSrcsetCandidates(srcset, img));
+
+  // 标记当前实际渲染的候选
+  const currentSrc = img.currentSrc ? processImageUrl(img.currentSrc) : '';
+  candidates.forEach(candidate => {
+    candidate.current = candidate.src === currentSrc;
+  });
+
+  return candidates;
+}
+
+// 选出分辨率最高的候选（优先比较w描述符，其次x描述符）
+function getLargestCandidate(candidates) {
+  return candidates.reduce((largest, candidate) => {
+    const largestScore = largest.width || 0;
+    const candidateScore = candidate.width || 0;
+    if (candidateScore !== largestScore) {
+      return candidateScore > largestScore ? candidate : largest;
+    }
+    return (candidate.density || 0) > (largest.density || 0) ? candidate : largest;
+  });
+}
+
+// 提取img标签中的图片
+function extractImgImages(images, seenUrls, root = document) {
+  const imgElements = queryAllWithin(root, 'img');
+  console.log('找到', imgElements.length, '个img标签');
+  
+  for (const img of imgElements) {
+    let src = img.src;
+
+    // 检测lazy-loaded图片
+    const dataSrc = img.getAttribute('data-src');
+    const dataSrcSet = img.getAttribute('data-srcset');
+    const dataOriginal = img.getAttribute('data-original');
+
+    // 解析srcset候选，归入同一张逻辑图片
+    const candidates = collectImgCandidates(img);
+    const currentSrc = img.currentSrc ? processImageUrl(img.currentSrc) : '';
+
+    // 优先使用真实的图片URL
+    if (dataSrc) {
+      src = dataSrc;
+    } else if (dataOriginal) {
+      src = dataOriginal;
+    }
+
+    // 处理URL
+    src = processImageUrl(src);
+
+    // 只有data-srcset的懒加载图片，src通常是占位图，改用最大的候选
+    if (!dataSrc && !dataOriginal && dataSrcSet && candidates.length > 0) {
+      src = getLargestCandidate(candidates).src;
+    } else if (!src && currentSrc) {
+      src = currentSrc;
+    }
+
+    if (src && !seenUrls.has(src)) {
+      seenUrls.add(src);
+      
+      // 获取尺寸
+      let { width, height } = getImageDimensions(img);
+
+      // 先通过URL获取类型，然后尝试通过magic number验证
       let type = getImageType(src);
 
       // 对于SVG类型的图片，尝试直接解析尺寸
@@ -709,21 +2018,8 @@ function extractImgImages(images, seenUrls) {
               if (existingImage) {
                 existingImage.width = dimensions.width;
                 existingImage.height = dimensions.height;
-                // 更新localStorage中的图片尺寸
-                try {
-                  const storedImages = localStorage.getItem('pageImages');
-                  if (storedImages) {
-                    const storedImagesArray = JSON.parse(storedImages);
-                    const storedImage = storedImagesArray.find(img => img.src === currentSrc);
-                    if (storedImage) {
-                      storedImage.width = dimensions.width;
-                      storedImage.height = dimensions.height;
-                      localStorage.setItem('pageImages', JSON.stringify(storedImagesArray));
-                    }
-                  }
-                } catch (error) {
-                  console.warn('更新localStorage中的图片尺寸失败:', error);
-                }
+                // 同步到background中的标签页图片索引
+                pushImageIndexUpdate('upsert', [existingImage]);
               }
             }
           }).catch(error => {
@@ -740,58 +2036,34 @@ function extractImgImages(images, seenUrls) {
         getImageInfoCoordinated(src, currentImage).then(updatedImage => {
           if (updatedImage.type !== currentImage.type || updatedImage.width !== currentImage.width || updatedImage.height !== currentImage.height) {
             // 更新已提取图片的信息
-            const existingImage = images.find(img => img.src === src);
-            if (existingImage) {
-              Object.assign(existingImage, updatedImage);
-
-              // 更新localStorage中的图片信息
-              try {
-                const storedImages = localStorage.getItem('pageImages');
-                if (storedImages) {
-                  const storedImagesArray = JSON.parse(storedImages);
-                  const storedImage = storedImagesArray.find(img => img.src === src);
-                  if (storedImage) {
-                    Object.assign(storedImage, updatedImage);
-                    localStorage.setItem('pageImages', JSON.stringify(storedImagesArray));
-                  }
-                }
-              } catch (error) {
-                console.warn('更新localStorage中的图片信息失败:', error);
-              }
+            const existingImage = images.find(img => img.src === src);
+            if (existingImage) {
+              Object.assign(existingImage, updatedImage);
+
+              // 同步到background中的标签页图片索引
+              pushImageIndexUpdate('upsert', [existingImage]);
             }
           }
         });
       }
 
-      images.push(createImageObject(src, img.alt, width, height, type, 'img'));
+      const imageObject = createImageObject(src, img.alt, width, height, type, 'img', img);
+      if (candidates.length > 0) {
+        imageObject.candidates = candidates;
+        imageObject.currentSrc = currentSrc;
+        imageObject.sizes = img.getAttribute('sizes') || img.getAttribute('data-sizes') || '';
+      }
+      images.push(imageObject);
     }
 
-    // 处理data-srcset属性
-    if (dataSrcSet) {
-      const sources = dataSrcSet.split(',').map(item => {
-        const parts = item.trim().split(' ');
-        return parts[0];
-      });
-
-      sources.forEach(sourceUrl => {
-        if (sourceUrl && !seenUrls.has(sourceUrl)) {
-          // 处理URL
-          const fullUrl = processImageUrl(sourceUrl);
-          if (!fullUrl) return;
-          
-          seenUrls.add(fullUrl);
-          
-          const type = getImageType(fullUrl);
-          images.push(createImageObject(fullUrl, img.alt, 0, 0, type, 'img-lazy'));
-        }
-      });
-    }
+    // 候选URL已归入该图片，不再单独列出
+    candidates.forEach(candidate => seenUrls.add(candidate.src));
   }
 }
 
 // 提取canvas中的图片
-function extractCanvasImages(images, seenUrls) {
-  const canvasElements = document.querySelectorAll('canvas');
+function extractCanvasImages(images, seenUrls, root = document) {
+  const canvasElements = queryAllWithin(root, 'canvas');
   console.log('找到', canvasElements.length, '个canvas元素');
   
   for (const canvas of canvasElements) {
@@ -800,13 +2072,16 @@ function extractCanvasImages(images, seenUrls) {
       const dataUrl = canvas.toDataURL('image/png');
       if (dataUrl && dataUrl.startsWith('data:image/') && !seenUrls.has(dataUrl)) {
         seenUrls.add(dataUrl);
+        trackImageElement(dataUrl, canvas);
         images.push({
           src: dataUrl,
           alt: `Canvas Image ${canvasElements.length}`,
           width: canvas.width,
           height: canvas.height,
           type: 'png',
-          elementType: 'canvas'
+          elementType: 'canvas',
+          frameUrl: window.location.href,
+          shadowHost: getShadowHostDescriptor(canvas) || undefined
         });
       }
     } catch (error) {
@@ -816,54 +2091,47 @@ function extractCanvasImages(images, seenUrls) {
 }
 
 // 提取picture和source标签中的图片
-function extractPictureImages(images, seenUrls) {
-  const pictureElements = document.querySelectorAll('picture');
+function extractPictureImages(images, seenUrls, root = document) {
+  const pictureElements = queryAllWithin(root, 'picture');
+  // 增量提取时，变化的节点可能位于picture内部
+  const parentPicture = root !== document && root.parentElement ? root.parentElement.closest('picture') : null;
+  if (parentPicture) {
+    pictureElements.push(parentPicture);
+  }
   console.log('找到', pictureElements.length, '个picture元素');
   
   for (const picture of pictureElements) {
-    const sourceElements = picture.querySelectorAll('source');
-    for (const source of sourceElements) {
-      const srcset = source.getAttribute('srcset');
+    // picture内的img已在extractImgImages中连同source候选一起提取
+    // 这里只处理没有img、或img未被提取的picture，同一picture的候选归为一张图片
+    const candidates = [];
+    for (const source of picture.querySelectorAll('source')) {
+      const srcset = source.getAttribute('srcset') || source.getAttribute('data-srcset');
       const src = source.getAttribute('src');
-
-      if (srcset) {
-        // 处理srcset属性
-        const sources = srcset.split(',').map(item => {
-          const parts = item.trim().split(' ');
-          return parts[0];
-        });
-
-        sources.forEach(sourceUrl => {
-          if (sourceUrl && !seenUrls.has(sourceUrl)) {
-            // 处理URL
-            const fullUrl = processImageUrl(sourceUrl);
-            if (!fullUrl) return;
-            
-            seenUrls.add(fullUrl);
-            
-            const type = getImageType(fullUrl);
-            images.push(createImageObject(fullUrl, '', 0, 0, type, 'source'));
-          }
-        });
-      }
-
-      if (src && !seenUrls.has(src)) {
-        // 处理URL
+      const sourceCandidates = srcset ? buildSrcsetCandidates(srcset, source) : [];
+      if (src) {
         const fullUrl = processImageUrl(src);
-        if (!fullUrl) return;
-        
-        seenUrls.add(fullUrl);
-        
-        const type = getImageType(fullUrl);
-        images.push(createImageObject(fullUrl, '', 0, 0, type, 'source'));
+        if (fullUrl) {
+          sourceCandidates.push(createSrcsetCandidate({ url: fullUrl, density: 1, descriptor: '1x' }, source));
+        }
       }
+      candidates.push(...sourceCandidates.filter(candidate => !seenUrls.has(candidate.src)));
     }
+
+    if (candidates.length === 0) continue;
+
+    const largest = getLargestCandidate(candidates);
+    const type = getImageType(largest.src);
+    const imageObject = createImageObject(largest.src, '', 0, 0, type, 'source', picture);
+    imageObject.candidates = candidates;
+    imageObject.currentSrc = '';
+    images.push(imageObject);
+    candidates.forEach(candidate => seenUrls.add(candidate.src));
   }
 }
 
 // 提取video标签中的图片（海报图等）
-function extractVideoImages(images, seenUrls) {
-  const videoElements = document.querySelectorAll('video');
+function extractVideoImages(images, seenUrls, root = document) {
+  const videoElements = queryAllWithin(root, 'video');
   console.log('找到', videoElements.length, '个video元素');
   
   for (const video of videoElements) {
@@ -876,14 +2144,14 @@ function extractVideoImages(images, seenUrls) {
       seenUrls.add(fullUrl);
       
       const type = getImageType(fullUrl);
-      images.push(createImageObject(fullUrl, '', 0, 0, type, 'video-poster'));
+      images.push(createImageObject(fullUrl, '', 0, 0, type, 'video-poster', video));
     }
   }
 }
 
 // 提取object和embed标签中的图片
-function extractObjectImages(images, seenUrls) {
-  const objectElements = document.querySelectorAll('object, embed');
+function extractObjectImages(images, seenUrls, root = document) {
+  const objectElements = queryAllWithin(root, 'object, embed');
   console.log('找到', objectElements.length, '个object/embed元素');
   
   for (const element of objectElements) {
@@ -907,15 +2175,15 @@ function extractObjectImages(images, seenUrls) {
         seenUrls.add(fullUrl);
         
         const imageType = getImageType(fullUrl);
-        images.push(createImageObject(fullUrl, '', 0, 0, imageType, element.tagName.toLowerCase()));
+        images.push(createImageObject(fullUrl, '', 0, 0, imageType, element.tagName.toLowerCase(), element));
       }
     }
   }
 }
 
 // 提取preload链接中的图片
-function extractPreloadImages(images, seenUrls) {
-  const linkElements = document.querySelectorAll('link[rel="preload"][as="image"]');
+function extractPreloadImages(images, seenUrls, root = document) {
+  const linkElements = queryAllWithin(root, 'link[rel="preload"][as="image"]');
   console.log('找到', linkElements.length, '个preload图片链接');
   
   for (const link of linkElements) {
@@ -928,14 +2196,19 @@ function extractPreloadImages(images, seenUrls) {
       seenUrls.add(fullUrl);
       
       const type = getImageType(fullUrl);
-      images.push(createImageObject(fullUrl, '', 0, 0, type, 'preload'));
+      images.push(createImageObject(fullUrl, '', 0, 0, type, 'preload', link));
     }
   }
 }
 
 // 提取svg内部的图片
-function extractSvgImages(images, seenUrls) {
-  const svgElements = document.querySelectorAll('svg');
+function extractSvgImages(images, seenUrls, root = document) {
+  const svgElements = queryAllWithin(root, 'svg');
+  // 增量提取时，变化的节点可能位于svg内部
+  const parentSvg = root !== document && root.parentElement ? root.parentElement.closest('svg') : null;
+  if (parentSvg) {
+    svgElements.push(parentSvg);
+  }
   console.log('找到', svgElements.length, '个svg元素');
   
   for (const svg of svgElements) {
@@ -950,185 +2223,774 @@ function extractSvgImages(images, seenUrls) {
         seenUrls.add(fullUrl);
         
         const type = getImageType(fullUrl);
-        images.push(createImageObject(fullUrl, '', 0, 0, type, 'svg-image'));
+        images.push(createImageObject(fullUrl, '', 0, 0, type, 'svg-image', image));
+      }
+    }
+  }
+
+  // 内联svg本身导出为独立的SVG图片（嵌套的svg随最外层一起导出）
+  const exportedSvgs = new Set();
+  for (const svg of svgElements) {
+    const outermostSvg = getOutermostSvg(svg);
+    if (exportedSvgs.has(outermostSvg)) continue;
+    exportedSvgs.add(outermostSvg);
+
+    try {
+      const svgImage = createInlineSvgImage(outermostSvg);
+      if (svgImage && !seenUrls.has(svgImage.src)) {
+        seenUrls.add(svgImage.src);
+        images.push(svgImage);
+      }
+    } catch (error) {
+      console.warn('导出内联SVG失败:', error);
+    }
+  }
+}
+
+// 获取最外层的svg元素
+function getOutermostSvg(svg) {
+  let outermost = svg;
+  let parent = svg.parentElement ? svg.parentElement.closest('svg') : null;
+  while (parent) {
+    outermost = parent;
+    parent = parent.parentElement ? parent.parentElement.closest('svg') : null;
+  }
+  return outermost;
+}
+
+// 只包含定义（defs、symbol等）的svg是精灵图容器，本身不渲染任何内容
+function isSvgDefinitionsOnly(svg) {
+  return Array.from(svg.children).every(child =>
+    ['defs', 'symbol', 'style', 'title', 'desc', 'metadata'].includes(child.tagName.toLowerCase())
+  );
+}
+
+// 内联svg图片的src前缀，后接元素引用ID；内容在预览或下载时才序列化
+var INLINE_SVG_PREFIX = 'inline-svg:';
+
+/**
+ * 为内联svg创建图片信息
+ * 序列化需要逐个元素读取计算样式，开销较大，提取时只记录元素引用，
+ * 侧边栏预览或下载时再通过serializeInlineSvg导出
+ * @param {SVGSVGElement} svg 内联svg元素
+ * @return {Object|null} 图片信息，只包含定义的svg返回null
+ */
+function createInlineSvgImage(svg) {
+  if (isSvgDefinitionsOnly(svg)) return null;
+
+  const dimensions = getInlineSvgDimensions(svg);
+  const titleElement = svg.querySelector('title');
+  const alt = svg.getAttribute('aria-label') || (titleElement ? titleElement.textContent.trim() : '');
+  const src = INLINE_SVG_PREFIX + getElementReference(svg);
+
+  return createImageObject(src, alt, dimensions.width, dimensions.height, 'svg', 'inline-svg', svg);
+}
+
+// 内联svg导出后的尺寸：优先使用width/height属性，其次是显示尺寸和viewBox
+function getInlineSvgDimensions(svg) {
+  const rect = svg.getBoundingClientRect();
+  const viewBox = svg.viewBox && svg.viewBox.baseVal;
+  const readLength = (name, renderedSize, viewBoxSize) => {
+    const match = (svg.getAttribute(name) || '').match(/^\s*([\d.]+)/);
+    if (match) return parseFloat(match[1]);
+    return Math.round(renderedSize) || viewBoxSize || 0;
+  };
+  return {
+    width: readLength('width', rect.width, viewBox ? viewBox.width : 0),
+    height: readLength('height', rect.height, viewBox ? viewBox.height : 0)
+  };
+}
+
+/**
+ * 将内联svg序列化为独立的SVG data URL
+ * 展开<use href="#id">引用、内联被引用的<symbol>，并写入计算后的fill/stroke/color
+ * @param {SVGSVGElement} svg 内联svg元素
+ * @return {string} SVG data URL
+ */
+function serializeInlineSvg(svg) {
+  const clone = svg.cloneNode(true);
+
+  // 写入计算样式：页面CSS（类名、currentColor）在独立文件中不再生效
+  const originalElements = [svg, ...svg.querySelectorAll('*')];
+  const clonedElements = [clone, ...clone.querySelectorAll('*')];
+  originalElements.forEach((element, index) => {
+    const clonedElement = clonedElements[index];
+    if (!clonedElement) return;
+    const computedStyle = window.getComputedStyle(element);
+    for (const property of ['fill', 'stroke', 'color']) {
+      const value = computedStyle.getPropertyValue(property);
+      if (value && !clonedElement.hasAttribute(property)) {
+        clonedElement.setAttribute(property, value);
+      }
+    }
+  });
+
+  inlineSvgUseReferences(clone, svg.getRootNode());
+
+  // 确保独立文件有命名空间和尺寸
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  if (clone.querySelector('[*|href]')) {
+    clone.setAttribute('xmlns:xlink', 'http://www.w3.org/1999/xlink');
+  }
+  const rect = svg.getBoundingClientRect();
+  if (!clone.getAttribute('width') && rect.width > 0) {
+    clone.setAttribute('width', Math.round(rect.width));
+  }
+  if (!clone.getAttribute('height') && rect.height > 0) {
+    clone.setAttribute('height', Math.round(rect.height));
+  }
+
+  const svgContent = new XMLSerializer().serializeToString(clone);
+  return 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svgContent);
+}
+
+/**
+ * 处理侧边栏导出内联svg的请求
+ * @param {Object} request 包含src（inline-svg:引用ID）
+ * @return {Object} 包含success，成功时还有dataUrl
+ */
+function getInlineSvgData(request) {
+  const src = request.src || '';
+  if (!src.startsWith(INLINE_SVG_PREFIX)) {
+    return { success: false, error: '不是内联SVG' };
+  }
+  const element = findImageElement({ elementId: src.slice(INLINE_SVG_PREFIX.length), src: src });
+  if (!element || element.tagName.toLowerCase() !== 'svg') {
+    return { success: false, error: 'SVG元素已不在页面中' };
+  }
+  try {
+    return { success: true, dataUrl: serializeInlineSvg(element) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * 展开svg克隆中引用本文档元素的<use>
+ * @param {SVGSVGElement} clone svg克隆
+ * @param {Document|ShadowRoot} rootNode 原svg所在的文档或shadow root，用于查找被引用的元素
+ */
+function inlineSvgUseReferences(clone, rootNode) {
+  // 被引用的内容里可能还有<use>，限制展开轮数以防循环引用
+  for (let depth = 0; depth < 5; depth++) {
+    const useElements = Array.from(clone.querySelectorAll('use')).filter(use => {
+      const href = use.getAttribute('href') || use.getAttribute('xlink:href') || '';
+      return href.startsWith('#');
+    });
+    if (useElements.length === 0) return;
+
+    for (const use of useElements) {
+      const href = use.getAttribute('href') || use.getAttribute('xlink:href');
+      const id = href.slice(1);
+      const referenced = (rootNode.getElementById ? rootNode.getElementById(id) : null) || document.getElementById(id);
+      if (!referenced) {
+        use.remove();
+        continue;
+      }
+
+      const x = use.getAttribute('x') || '0';
+      const y = use.getAttribute('y') || '0';
+      let replacement;
+
+      if (referenced.tagName.toLowerCase() === 'symbol') {
+        // <symbol>展开为嵌套的<svg>，保留viewBox
+        replacement = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        for (const attribute of ['viewBox', 'preserveAspectRatio']) {
+          if (referenced.hasAttribute(attribute)) {
+            replacement.setAttribute(attribute, referenced.getAttribute(attribute));
+          }
+        }
+        replacement.setAttribute('x', x);
+        replacement.setAttribute('y', y);
+        replacement.setAttribute('width', use.getAttribute('width') || '100%');
+        replacement.setAttribute('height', use.getAttribute('height') || '100%');
+        for (const child of referenced.childNodes) {
+          replacement.appendChild(child.cloneNode(true));
+        }
+      } else {
+        replacement = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        replacement.setAttribute('transform', `translate(${x} ${y})`);
+        const referencedClone = referenced.cloneNode(true);
+        referencedClone.removeAttribute('id');
+        replacement.appendChild(referencedClone);
+      }
+
+      // 保留<use>上的表现属性
+      for (const attribute of use.attributes) {
+        if (!['href', 'xlink:href', 'x', 'y', 'width', 'height'].includes(attribute.name) &&
+          !replacement.hasAttribute(attribute.name)) {
+          replacement.setAttribute(attribute.name, attribute.value);
+        }
+      }
+
+      use.replaceWith(replacement);
+    }
+  }
+}
+
+// 需要检查的CSS图片来源：[伪元素, computedStyle属性, 记录为elementType的名称]
+var CSS_IMAGE_SOURCES = [
+  ['', 'backgroundImage', 'background'],
+  ['', 'maskImage', 'mask-image'],
+  ['', 'webkitMaskImage', 'mask-image'],
+  ['', 'borderImageSource', 'border-image-source'],
+  ['', 'listStyleImage', 'list-style-image'],
+  ['', 'cursor', 'cursor'],
+  ['::before', 'content', '::before content'],
+  ['::before', 'backgroundImage', '::before background-image'],
+  ['::before', 'maskImage', '::before mask-image'],
+  ['::before', 'webkitMaskImage', '::before mask-image'],
+  ['::after', 'content', '::after content'],
+  ['::after', 'backgroundImage', '::after background-image'],
+  ['::after', 'maskImage', '::after mask-image'],
+  ['::after', 'webkitMaskImage', '::after mask-image']
+];
+
+// 提取CSS背景图片，以及伪元素content、mask-image、border-image、list-style-image、cursor中的图片
+function extractBackgroundImages(images, seenUrls, root = document) {
+  const elements = queryAllWithin(root, '*');
+  console.log('检查', elements.length, '个元素的CSS图片');
+  
+  for (const element of elements) {
+    try {
+      const styles = {
+        '': window.getComputedStyle(element),
+        '::before': null,
+        '::after': null
+      };
+      // 只有存在content时伪元素才会渲染
+      for (const pseudo of ['::before', '::after']) {
+        const pseudoStyle = window.getComputedStyle(element, pseudo);
+        if (pseudoStyle.content && pseudoStyle.content !== 'none' && pseudoStyle.content !== 'normal') {
+          styles[pseudo] = pseudoStyle;
+        }
+      }
+
+      for (const [pseudo, property, elementType] of CSS_IMAGE_SOURCES) {
+        const style = styles[pseudo];
+        const value = style ? style[property] : '';
+        if (!value || value === 'none' || !value.includes('url(')) continue;
+
+        for (const entry of parseCssImageValue(value)) {
+          // 处理URL
+          const url = processImageUrl(entry.url);
+          if (!url) continue;
+
+          const countBefore = images.length;
+          addCssImage(images, seenUrls, url, element, elementType);
+          // image-set()的各分辨率候选归入同一张图片
+          if (entry.candidates && images.length > countBefore) {
+            images[images.length - 1].candidates = entry.candidates;
+            entry.candidates.forEach(candidate => seenUrls.add(candidate.src));
+          }
+        }
+      }
+    } catch (error) {
+      // 忽略无法访问的元素
+      console.warn('无法获取元素样式:', error);
+    }
+  }
+}
+
+/**
+ * 从CSS属性值中解析图片URL
+ * image-set()和-webkit-image-set()解析为一张图片及其分辨率候选，其余url()各为一张图片
+ * @param {string} value CSS属性值
+ * @param {string} [baseUrl] 解析相对URL的基准（样式表URL），默认为当前页面
+ * @return {Array<Object>} 每项包含url，image-set还包含candidates
+ */
+function parseCssImageValue(value, baseUrl) {
+  const entries = [];
+  let remaining = value;
+
+  // 先处理image-set()，括号可能嵌套（url()、type()）
+  const imageSetPattern = /(?:-webkit-)?image-set\(/gi;
+  let match;
+  while ((match = imageSetPattern.exec(remaining)) !== null) {
+    const start = match.index;
+    const end = findClosingParen(remaining, start + match[0].length - 1);
+    if (end === -1) break;
+
+    const candidates = parseImageSet(remaining.slice(start + match[0].length, end), baseUrl);
+    if (candidates.length > 0) {
+      const best = candidates.reduce((largest, candidate) => candidate.density > largest.density ? candidate : largest);
+      entries.push({ url: best.src, candidates: candidates });
+    }
+    remaining = remaining.slice(0, start) + remaining.slice(end + 1);
+    imageSetPattern.lastIndex = start;
+  }
+
+  // 其余的url()
+  const urlPattern = /url\(\s*(['"]?)(.*?)\1\s*\)/g;
+  while ((match = urlPattern.exec(remaining)) !== null) {
+    if (match[2]) {
+      entries.push({ url: resolveCssUrl(match[2], baseUrl) });
+    }
+  }
+
+  return entries;
+}
+
+// 相对于样式表URL解析CSS中的url()
+function resolveCssUrl(url, baseUrl) {
+  if (!baseUrl || url.startsWith('data:')) return url;
+  try {
+    return new URL(url, baseUrl).href;
+  } catch (error) {
+    return url;
+  }
+}
+
+// 查找与左括号匹配的右括号位置（忽略引号内的括号）
+function findClosingParen(text, openIndex) {
+  let depth = 0;
+  let quote = '';
+  for (let i = openIndex; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = '';
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return -1;
+}
+
+// 按顶层逗号切分（忽略括号和引号内的逗号）
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let quote = '';
+  let current = '';
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote) quote = '';
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * 解析image-set()的参数为分辨率候选
+ * @param {string} args image-set括号内的内容，如 url("a.png") 1x, "b.png" 2x type("image/webp")
+ * @param {string} [baseUrl] 解析相对URL的基准
+ * @return {Array<Object>} 候选数组，每项包含src、density、descriptor，可能包含mimeType
+ */
+function parseImageSet(args, baseUrl) {
+  const candidates = [];
+  for (const option of splitTopLevel(args)) {
+    const urlMatch = option.match(/^url\(\s*(['"]?)(.*?)\1\s*\)/) || option.match(/^(['"])(.*?)\1/);
+    if (!urlMatch || !urlMatch[2]) continue;
+
+    const src = processImageUrl(resolveCssUrl(urlMatch[2], baseUrl));
+    if (!src) continue;
+
+    const rest = option.slice(urlMatch[0].length);
+    const candidate = { src: src, density: 1, descriptor: '1x' };
+
+    // 分辨率：x、dppx、dpi、dpcm
+    const resolutionMatch = rest.match(/(\d+(?:\.\d+)?)(x|dppx|dpi|dpcm)\b/i);
+    if (resolutionMatch) {
+      const value = parseFloat(resolutionMatch[1]);
+      const unit = resolutionMatch[2].toLowerCase();
+      if (unit === 'dpi') candidate.density = value / 96;
+      else if (unit === 'dpcm') candidate.density = value * 2.54 / 96;
+      else candidate.density = value;
+      candidate.descriptor = resolutionMatch[0];
+    }
+
+    const typeMatch = rest.match(/type\(\s*['"](.*?)['"]\s*\)/i);
+    if (typeMatch) {
+      candidate.mimeType = typeMatch[1];
+    }
+    candidates.push(candidate);
+  }
+  return candidates;
+}
+
+/**
+ * 扫描样式表中引用的全部图片，包括当前未应用的规则（:hover、媒体查询、隐藏组件等）
+ * 跨域样式表无法读取cssRules，通过background获取文本后重新解析
+ * @return {Promise<Array>} 图片信息数组，带selector、stylesheetUrl、cssProperty
+ */
+async function scanStylesheetImages() {
+  const images = [];
+  const seenUrls = new Set();
+  const visitedSheets = new Set();
+
+  // 文档、adoptedStyleSheets以及开放shadow root中的样式表
+  window.imageListShadowRootCache = new WeakMap();
+  const sheets = [...document.styleSheets, ...(document.adoptedStyleSheets || [])];
+  for (const shadowRoot of collectShadowRoots(document)) {
+    sheets.push(...shadowRoot.styleSheets, ...(shadowRoot.adoptedStyleSheets || []));
+  }
+
+  for (const sheet of sheets) {
+    await scanStyleSheet(sheet, images, seenUrls, visitedSheets, '');
+  }
+
+  return images;
+}
+
+/**
+ * 扫描单个样式表
+ * @param {CSSStyleSheet} sheet 样式表
+ * @param {Array} images 图片信息数组
+ * @param {Set} seenUrls 已处理的URL
+ * @param {Set} visitedSheets 已扫描的样式表URL，避免@import循环
+ * @param {string} condition 外层的@media/@supports条件
+ */
+async function scanStyleSheet(sheet, images, seenUrls, visitedSheets, condition) {
+  if (sheet.href) {
+    if (visitedSheets.has(sheet.href)) return;
+    visitedSheets.add(sheet.href);
+  }
+
+  let rules = null;
+  try {
+    rules = sheet.cssRules;
+  } catch (error) {
+    // 跨域样式表
+    rules = null;
+  }
+
+  if (!rules && sheet.href) {
+    rules = await fetchCrossOriginRules(sheet.href);
+  }
+  if (!rules) return;
+
+  const sheetUrl = sheet.href || window.location.href;
+  await scanCssRules(rules, sheetUrl, condition, images, seenUrls, visitedSheets);
+}
+
+/**
+ * 通过background获取跨域样式表文本，并解析为规则列表
+ * @param {string} href 样式表URL
+ * @return {Promise<CSSRuleList|null>} 规则列表
+ */
+async function fetchCrossOriginRules(href) {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'fetchStylesheet', url: href });
+    if (!response || !response.success) {
+      console.warn('获取跨域样式表失败:', href, response && response.error);
+      return null;
+    }
+    // replaceSync会忽略@import，但足以解析其余规则
+    const parsedSheet = new CSSStyleSheet();
+    parsedSheet.replaceSync(response.text);
+    return parsedSheet.cssRules;
+  } catch (error) {
+    console.warn('解析跨域样式表失败:', href, error);
+    return null;
+  }
+}
+
+/**
+ * 递归扫描CSS规则中的url()
+ * @param {CSSRuleList} rules 规则列表
+ * @param {string} sheetUrl 样式表URL，用于解析相对路径
+ * @param {string} condition 外层的@media/@supports条件
+ * @param {Array} images 图片信息数组
+ * @param {Set} seenUrls 已处理的URL
+ * @param {Set} visitedSheets 已扫描的样式表URL
+ */
+async function scanCssRules(rules, sheetUrl, condition, images, seenUrls, visitedSheets) {
+  for (const rule of rules) {
+    // @import
+    if (rule.styleSheet) {
+      await scanStyleSheet(rule.styleSheet, images, seenUrls, visitedSheets, condition);
+      continue;
+    }
+
+    // 字体文件不是图片
+    if (rule.type === CSSRule.FONT_FACE_RULE) continue;
+
+    if (rule.style) {
+      const selector = rule.selectorText || rule.keyText || '';
+      for (let i = 0; i < rule.style.length; i++) {
+        const property = rule.style[i];
+        const value = rule.style.getPropertyValue(property);
+        if (!value || !value.includes('url(')) continue;
+
+        for (const entry of parseCssImageValue(value, sheetUrl)) {
+          const url = processImageUrl(entry.url);
+          if (!url || seenUrls.has(url)) continue;
+          seenUrls.add(url);
+
+          const image = createImageObject(url, '', 0, 0, getImageType(url), 'css-rule');
+          image.selector = selector;
+          image.stylesheetUrl = sheetUrl;
+          image.cssProperty = property;
+          if (condition) image.condition = condition;
+          if (entry.candidates) image.candidates = entry.candidates;
+          images.push(image);
+        }
+      }
+    }
+
+    // @media、@supports、@layer、@container等分组规则
+    if (rule.cssRules) {
+      let nestedCondition = condition;
+      if (rule.media && rule.media.mediaText) {
+        nestedCondition = [condition, '@media ' + rule.media.mediaText].filter(Boolean).join(' ');
+      } else if (rule.conditionText) {
+        nestedCondition = [condition, rule.conditionText].filter(Boolean).join(' ');
+      }
+      await scanCssRules(rule.cssRules, sheetUrl, nestedCondition, images, seenUrls, visitedSheets);
+    }
+  }
+}
+
+/**
+ * 添加一张来自CSS的图片
+ * @param {Array} images 图片信息数组
+ * @param {Set} seenUrls 已处理的URL
+ * @param {string} url 已处理的图片URL
+ * @param {Element} element 来源元素
+ * @param {string} elementType 来源CSS属性
+ */
+function addCssImage(images, seenUrls, url, element, elementType) {
+  // 处理data URL中的SVG
+  if (url.startsWith('data:image/svg+xml')) {
+    // 确保data URL格式正确
+    try {
+      // 解码URL编码的SVG内容
+      const decodedUrl = decodeURIComponent(url);
+      if (!seenUrls.has(decodedUrl)) {
+        seenUrls.add(decodedUrl);
+
+        // 解析SVG尺寸
+        let width = 0;
+        let height = 0;
+        try {
+          const svgContent = processSvgDataUrl(decodedUrl);
+          if (svgContent) {
+            const dimensions = parseSvgDimensions(svgContent);
+            width = dimensions.width;
+            height = dimensions.height;
+          }
+        } catch (error) {
+          console.warn('解析SVG尺寸失败:', error);
+        }
+
+        images.push(createImageObject(decodedUrl, '', width, height, 'svg', elementType, element));
+      }
+    } catch (error) {
+      console.warn('处理SVG data URL失败:', error);
+      // 如果解码失败，使用原始URL
+      if (!seenUrls.has(url)) {
+        seenUrls.add(url);
+        images.push(createImageObject(url, '', 0, 0, 'svg', elementType, element));
+      }
+    }
+  } else if (url.includes('svg') || url.includes('SVG')) {
+    // 对于可能是SVG的URL，尝试进一步检测
+    // 使用Promise的then/catch语法，避免在非异步函数中使用await
+    fetch(url, {
+      mode: 'cors',
+      cache: 'no-cache'
+    }).then(response => {
+      if (response.ok) {
+        const contentType = response.headers.get('content-type');
+        if (contentType && contentType.includes('svg')) {
+          // 确认是SVG文件
+          if (!seenUrls.has(url)) {
+            seenUrls.add(url);
+
+            // 尝试获取SVG内容解析尺寸
+            let width = 0;
+            let height = 0;
+            response.text().then(svgContent => {
+              try {
+                const dimensions = parseSvgDimensions(svgContent);
+                width = dimensions.width;
+                height = dimensions.height;
+              } catch (error) {
+                console.warn('解析SVG内容失败:', error);
+              }
+
+              images.push(createImageObject(url, '', width, height, 'svg', elementType, element));
+            }).catch(error => {
+              console.warn('获取SVG内容失败:', error);
+              // 即使失败，也添加为SVG图片
+              images.push(createImageObject(url, '', 0, 0, 'svg', elementType, element));
+            });
+          }
+        }
+      }
+    }).catch(error => {
+      console.warn('检测SVG失败:', error);
+      // 即使失败，也尝试添加为普通图片
+      if (!seenUrls.has(url)) {
+        seenUrls.add(url);
+        images.push(createImageObject(url, '', 0, 0, getImageType(url), elementType, element));
+      }
+    });
+  } else {
+    // 处理普通URL
+    if (!seenUrls.has(url)) {
+      seenUrls.add(url);
+      // 先通过URL获取类型，然后尝试通过magic number验证
+      let type = getImageType(url);
+
+      // 对于SVG，尝试解析尺寸
+      let width = 0;
+      let height = 0;
+      if (type === 'svg') {
+        // 注意：这里不等待异步操作完成，避免阻塞提取过程
+        getSvgDimensionsFromUrl(url).then(dimensions => {
+          if (dimensions.width > 0 && dimensions.height > 0) {
+            // 更新已提取图片的尺寸
+            const existingImage = images.find(img => img.src === url);
+            if (existingImage) {
+              existingImage.width = dimensions.width;
+              existingImage.height = dimensions.height;
+              pushImageIndexUpdate('upsert', [existingImage]);
+            }
+          }
+        });
+      }
+
+      // 对于可能的图片，使用协调函数获取完整的类型和尺寸信息
+      if (type === 'unknown' || ['jpg', 'png', 'gif', 'webp', 'bmp', 'avif', 'tiff', 'ico', 'heic'].includes(type)) {
+        const currentImage = createImageObject(url, '', width, height, type, elementType);
+
+        // 异步获取完整信息但不阻塞主流程
+        getImageInfoCoordinated(url, currentImage).then(updatedImage => {
+          if (updatedImage.type !== currentImage.type || updatedImage.width !== currentImage.width || updatedImage.height !== currentImage.height) {
+            // 更新已提取图片的信息
+            const existingImage = images.find(img => img.src === url);
+            if (existingImage) {
+              Object.assign(existingImage, updatedImage);
+
+              // 同步到background中的标签页图片索引
+              pushImageIndexUpdate('upsert', [existingImage]);
+            }
+          }
+        });
       }
+
+      images.push(createImageObject(url, '', width, height, type, elementType, element));
     }
   }
 }
 
-// 提取CSS背景图片
-function extractBackgroundImages(images, seenUrls) {
-  const elements = document.querySelectorAll('*');
-  console.log('检查', elements.length, '个元素的背景图片');
-  
-  for (const element of elements) {
+/**
+ * 按用户配置的规则标准化图片URL，用于去重和元素跟踪
+ * 规则保存在chrome.storage.sync中，由loadUrlNormalizationRules加载；提取前先等待规则加载，
+ * 避免首次提取产生未标准化的URL
+ * 依次执行：正则重写；按主机的参数白名单（keepParams）或全局与主机的参数黑名单（removeParams）
+ * @param {string} url 图片URL
+ * @return {string} 标准化后的URL
+ */
+function normalizeImageUrl(url) {
+  const rules = window.imageListUrlRules;
+  if (!rules || !url || url.startsWith('data:')) {
+    return url;
+  }
+
+  let normalizedUrl = url;
+  for (const rewrite of rules.rewrites || []) {
     try {
-      const computedStyle = window.getComputedStyle(element);
-      const backgroundImage = computedStyle.backgroundImage;
-      if (backgroundImage && backgroundImage !== 'none') {
-        // 提取背景图片URL
-        // 使用更可靠的正则表达式处理各种URL格式
-        const urlMatches = backgroundImage.match(/url\((['"]?)(.*?)\1\)/g);
-        if (urlMatches) {
-          for (const match of urlMatches) {
-            // 提取URL内容，处理带引号和不带引号的情况
-            let url;
-            const quoteMatch = match.match(/url\(['"](.*?)['"]\)/);
-            if (quoteMatch) {
-              url = quoteMatch[1];
-            } else {
-              const noQuoteMatch = match.match(/url\((.*?)\)/);
-              url = noQuoteMatch ? noQuoteMatch[1] : '';
-            }
+      normalizedUrl = normalizedUrl.replace(new RegExp(rewrite.pattern), rewrite.replacement || '');
+    } catch (error) {
+      console.warn('无效的URL重写规则:', rewrite.pattern, error);
+    }
+  }
 
-            if (url) {
-              // 处理URL
-              url = processImageUrl(url);
-              if (!url) continue;
-              
-              // 处理data URL中的SVG
-              if (url.startsWith('data:image/svg+xml')) {
-                // 确保data URL格式正确
-                try {
-                  // 解码URL编码的SVG内容
-                  const decodedUrl = decodeURIComponent(url);
-                  if (!seenUrls.has(decodedUrl)) {
-                    seenUrls.add(decodedUrl);
-
-                    // 解析SVG尺寸
-                    let width = 0;
-                    let height = 0;
-                    try {
-                      const svgContent = processSvgDataUrl(decodedUrl);
-                      if (svgContent) {
-                        const dimensions = parseSvgDimensions(svgContent);
-                        width = dimensions.width;
-                        height = dimensions.height;
-                      }
-                    } catch (error) {
-                      console.warn('解析SVG尺寸失败:', error);
-                    }
+  const queryIndex = normalizedUrl.indexOf('?');
+  if (queryIndex === -1) {
+    return normalizedUrl;
+  }
 
-                    images.push(createImageObject(decodedUrl, '', width, height, 'svg', 'background'));
-                  }
-                } catch (error) {
-                  console.warn('处理SVG data URL失败:', error);
-                  // 如果解码失败，使用原始URL
-                  if (!seenUrls.has(url)) {
-                    seenUrls.add(url);
-                    images.push(createImageObject(url, '', 0, 0, 'svg', 'background'));
-                  }
-                }
-              } else if (url.includes('svg') || url.includes('SVG')) {
-                // 对于可能是SVG的URL，尝试进一步检测
-                // 使用Promise的then/catch语法，避免在非异步函数中使用await
-                fetch(url, {
-                  mode: 'cors',
-                  cache: 'no-cache'
-                }).then(response => {
-                  if (response.ok) {
-                    const contentType = response.headers.get('content-type');
-                    if (contentType && contentType.includes('svg')) {
-                      // 确认是SVG文件
-                      if (!seenUrls.has(url)) {
-                        seenUrls.add(url);
-
-                        // 尝试获取SVG内容解析尺寸
-                        let width = 0;
-                        let height = 0;
-                        response.text().then(svgContent => {
-                          try {
-                            const dimensions = parseSvgDimensions(svgContent);
-                            width = dimensions.width;
-                            height = dimensions.height;
-                          } catch (error) {
-                            console.warn('解析SVG内容失败:', error);
-                          }
-
-                          images.push(createImageObject(url, '', width, height, 'svg', 'background'));
-                        }).catch(error => {
-                          console.warn('获取SVG内容失败:', error);
-                          // 即使失败，也添加为SVG图片
-                          images.push(createImageObject(url, '', 0, 0, 'svg', 'background'));
-                        });
-                      }
-                    }
-                  }
-                }).catch(error => {
-                  console.warn('检测SVG失败:', error);
-                  // 即使失败，也尝试添加为普通图片
-                  if (!seenUrls.has(url)) {
-                    seenUrls.add(url);
-                    images.push(createImageObject(url, '', 0, 0, getImageType(url), 'background'));
-                  }
-                });
-              } else {
-                // 处理普通URL
-                if (!seenUrls.has(url)) {
-                  seenUrls.add(url);
-                  // 先通过URL获取类型，然后尝试通过magic number验证
-                  let type = getImageType(url);
-
-                  // 对于SVG，尝试解析尺寸
-                  let width = 0;
-                  let height = 0;
-                  if (type === 'svg') {
-                    // 注意：这里不等待异步操作完成，避免阻塞提取过程
-                    getSvgDimensionsFromUrl(url).then(dimensions => {
-                      if (dimensions.width > 0 && dimensions.height > 0) {
-                        // 更新已提取图片的尺寸
-                        const existingImage = images.find(img => img.src === url);
-                        if (existingImage) {
-                          existingImage.width = dimensions.width;
-                          existingImage.height = dimensions.height;
-                        }
-                      }
-                    });
-                  }
+  const hashIndex = normalizedUrl.indexOf('#', queryIndex);
+  const baseUrl = normalizedUrl.slice(0, queryIndex);
+  const params = normalizedUrl.slice(queryIndex + 1, hashIndex === -1 ? undefined : hashIndex);
+  const hash = hashIndex === -1 ? '' : normalizedUrl.slice(hashIndex);
 
-                  // 对于可能的图片，使用协调函数获取完整的类型和尺寸信息
-                  if (type === 'unknown' || ['jpg', 'png', 'gif', 'webp', 'bmp', 'avif', 'tiff', 'ico', 'heic'].includes(type)) {
-                    const currentImage = createImageObject(url, '', width, height, type, 'background');
-
-                    // 异步获取完整信息但不阻塞主流程
-                    getImageInfoCoordinated(url, currentImage).then(updatedImage => {
-                      if (updatedImage.type !== currentImage.type || updatedImage.width !== currentImage.width || updatedImage.height !== currentImage.height) {
-                        // 更新已提取图片的信息
-                        const existingImage = images.find(img => img.src === url);
-                        if (existingImage) {
-                          Object.assign(existingImage, updatedImage);
-
-                          // 更新localStorage中的图片信息
-                          try {
-                            const storedImages = localStorage.getItem('pageImages');
-                            if (storedImages) {
-                              const storedImagesArray = JSON.parse(storedImages);
-                              const storedImage = storedImagesArray.find(img => img.src === url);
-                              if (storedImage) {
-                                Object.assign(storedImage, updatedImage);
-                                localStorage.setItem('pageImages', JSON.stringify(storedImagesArray));
-                              }
-                            }
-                          } catch (error) {
-                            console.warn('更新localStorage中的图片信息失败:', error);
-                          }
-                        }
-                      }
-                    });
-                  }
+  let hostname = '';
+  try {
+    hostname = new URL(baseUrl).hostname;
+  } catch (error) {
+    // 无法解析主机名时只应用全局规则
+  }
+  const hostRule = (rules.hosts || []).find(rule => matchesHostRule(hostname, rule.host));
+  const keepParams = hostRule && hostRule.keepParams && hostRule.keepParams.length > 0 ? hostRule.keepParams : null;
+  const removeParams = (rules.removeParams || []).concat(hostRule && hostRule.removeParams ? hostRule.removeParams : []);
 
-                  images.push(createImageObject(url, '', width, height, type, 'background'));
-                }
-              }
-            }
-          }
-        }
-      }
+  const paramPairs = params.split('&').filter(param => {
+    if (!param) return false;
+    const key = param.split('=')[0].toLowerCase();
+    // 主机配置了白名单时只保留白名单中的参数
+    if (keepParams) {
+      return matchesParamName(key, keepParams);
+    }
+    return !matchesParamName(key, removeParams);
+  });
+
+  return baseUrl + (paramPairs.length > 0 ? '?' + paramPairs.join('&') : '') + hash;
+}
+
+// 主机规则匹配该主机及其子域名
+function matchesHostRule(hostname, ruleHost) {
+  const host = (ruleHost || '').toLowerCase();
+  return Boolean(host) && (hostname === host || hostname.endsWith('.' + host));
+}
+
+// 参数名匹配，支持结尾的*通配符（如utm_*）
+function matchesParamName(key, patterns) {
+  return patterns.some(pattern => {
+    const name = String(pattern).toLowerCase();
+    return name.endsWith('*') ? key.startsWith(name.slice(0, -1)) : key === name;
+  });
+}
+
+/**
+ * 从background读取URL标准化规则（包含默认规则）
+ * 读取失败时保留已有规则，从未加载过则不做标准化，避免提取一直等待
+ * @return {Promise} 规则加载完成
+ */
+function loadUrlNormalizationRules() {
+  window.imageListUrlRulesReady = new Promise((resolve) => {
+    try {
+      chrome.runtime.sendMessage({ action: 'getSettings' }, (settings) => {
+        void chrome.runtime.lastError;
+        window.imageListUrlRules = (settings && settings.urlNormalizationRules) || window.imageListUrlRules || {};
+        resolve();
+      });
     } catch (error) {
-      // 忽略无法访问的元素
-      console.warn('无法获取元素样式:', error);
+      window.imageListUrlRules = window.imageListUrlRules || {};
+      resolve();
     }
-  }
+  });
+  return window.imageListUrlRulesReady;
+}
+
+/**
+ * 等待URL标准化规则加载完成
+ * @return {Promise} 规则加载完成
+ */
+function whenUrlRulesReady() {
+  return window.imageListUrlRulesReady || loadUrlNormalizationRules();
 }
 
 // 处理图片后处理逻辑，包括类型检测、尺寸获取、过滤和去重
@@ -1304,21 +3166,8 @@ function processImagesPostExtraction(images) {
                   image.width = dimensions.width;
                   image.height = dimensions.height;
 
-                  // 更新localStorage中的图片尺寸
-                  try {
-                    const storedImages = localStorage.getItem('pageImages');
-                    if (storedImages) {
-                      const storedImagesArray = JSON.parse(storedImages);
-                      const storedImage = storedImagesArray.find(img => img.src === image.src);
-                      if (storedImage) {
-                        storedImage.width = dimensions.width;
-                        storedImage.height = dimensions.height;
-                        localStorage.setItem('pageImages', JSON.stringify(storedImagesArray));
-                      }
-                    }
-                  } catch (error) {
-                    console.warn('更新localStorage中的图片尺寸失败:', error);
-                  }
+                  // 同步到background中的标签页图片索引
+                  pushImageIndexUpdate('upsert', [image]);
                 }
               }).catch(error => {
                 console.warn('通过fetch获取SVG尺寸失败:', image.src, error);
@@ -1359,33 +3208,17 @@ function processImagesPostExtraction(images) {
     if ((image.width >= minWidth || image.height >= minHeight) ||
       (image.width === 0 && image.height === 0)) { // 未知尺寸的图片保留
 
-      // 智能URL标准化和去重
-      let normalizedUrl = image.src;
-
-      // 标准化URL：移除UTM参数和跟踪参数
-      if (normalizedUrl.includes('?')) {
-        const urlParts = normalizedUrl.split('?');
-        const baseUrl = urlParts[0];
-        const params = urlParts[1];
-        const paramPairs = params.split('&').filter(param => {
-          const key = param.split('=')[0].toLowerCase();
-          // 移除常见的跟踪参数
-          return !['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content',
-            'gclid', 'fbclid', 'msclkid', 'mc_eid', 'cid', 'pid'].includes(key);
-        });
-
-        if (paramPairs.length > 0) {
-          normalizedUrl = baseUrl + '?' + paramPairs.join('&');
-        } else {
-          normalizedUrl = baseUrl;
-        }
-      }
+      // 按规则标准化URL后去重
+      const normalizedUrl = normalizeImageUrl(image.src);
 
       // 去重
       if (!uniqueUrls.has(normalizedUrl)) {
         uniqueUrls.add(normalizedUrl);
-        // 更新图片的标准化URL
-        image.src = normalizedUrl;
+        // 更新图片的标准化URL，保留原始URL
+        if (normalizedUrl !== image.src) {
+          image.originalSrc = image.src;
+          image.src = normalizedUrl;
+        }
         filteredImages.push(image);
       }
     }
@@ -1399,6 +3232,11 @@ function extractImages() {
   const images = [];
   const seenUrls = new Set();
 
+  // 全量提取时重建图片与元素的对应关系
+  pruneElementReferences();
+  window.imageListTrackedElements = new Map();
+  window.imageListShadowRootCache = new WeakMap();
+
   // 调用各个提取函数
   extractImgImages(images, seenUrls);
   extractCanvasImages(images, seenUrls);
@@ -1410,7 +3248,306 @@ function extractImages() {
   extractBackgroundImages(images, seenUrls);
 
   // 调用后处理函数
-  return processImagesPostExtraction(images);
+  const result = processImagesPostExtraction(images);
+  addTransferMetadata(result);
+  // 保存最近一次的提取结果，供getCachedImage查找
+  window.imageListImages = result;
+  return result;
+}
+
+/**
+ * 从Resource Timing补充图片的传输信息：编码后大小、解码后大小、Content-Type、缓存状态、加载耗时
+ * 跨域资源没有Timing-Allow-Origin时大小为0，留给侧边栏通过background补查
+ * @param {Array} images 图片信息数组
+ */
+function addTransferMetadata(images) {
+  const entries = new Map();
+  for (const entry of performance.getEntriesByType('resource')) {
+    entries.set(entry.name, entry);
+  }
+
+  for (const image of images) {
+    // data URL的大小可以直接计算
+    if (image.src.startsWith('data:')) {
+      image.byteSize = getDataUrlByteSize(image.src);
+      image.cacheStatus = 'inline';
+      continue;
+    }
+
+    // processImageUrl会解码URL，Resource Timing中的名称是编码后的
+    const entry = entries.get(image.src) || entries.get(encodeURI(image.src));
+    if (!entry || !entry.encodedBodySize) continue;
+
+    image.byteSize = entry.encodedBodySize;
+    image.decodedSize = entry.decodedBodySize;
+    image.loadTime = Math.round(entry.duration);
+    image.sizeSource = 'resource-timing';
+    if (entry.contentType) {
+      image.contentType = entry.contentType;
+    }
+    // transferSize为0表示来自缓存；小于响应体说明是304重新验证
+    if (entry.transferSize === 0) {
+      image.cacheStatus = 'cache';
+    } else if (entry.transferSize < entry.encodedBodySize) {
+      image.cacheStatus = 'revalidated';
+    } else {
+      image.cacheStatus = 'network';
+    }
+  }
+}
+
+// 计算data URL中数据的字节数
+function getDataUrlByteSize(dataUrl) {
+  const commaIndex = dataUrl.indexOf(',');
+  const data = dataUrl.slice(commaIndex + 1);
+  if (dataUrl.slice(0, commaIndex).endsWith(';base64')) {
+    const padding = data.endsWith('==') ? 2 : (data.endsWith('=') ? 1 : 0);
+    return Math.floor(data.length * 3 / 4) - padding;
+  }
+  try {
+    return new TextEncoder().encode(decodeURIComponent(data)).length;
+  } catch (error) {
+    return data.length;
+  }
+}
+
+/**
+ * 将图片索引的增量更新推送到background
+ * background按标签页把索引保存在chrome.storage.session中
+ * @param {string} mode 更新模式：replace（整体替换）、upsert（新增或更新）、remove（移除）
+ * @param {Array} images 图片信息数组
+ */
+function pushImageIndexUpdate(mode, images) {
+  try {
+    chrome.runtime.sendMessage({
+      action: 'updateImageIndex',
+      mode: mode,
+      images: images,
+      pageUrl: window.location.href
+    }, () => {
+      // 扩展重新加载后消息通道可能失效，忽略错误
+      void chrome.runtime.lastError;
+    });
+  } catch (error) {
+    console.warn('推送图片索引更新失败:', error);
+  }
+
+  // 异步补全的类型、尺寸等信息同时推送给已打开的侧边栏
+  if (mode === 'upsert') {
+    postToLivePorts({ type: 'update', images: images });
+  }
+}
+
+/**
+ * 获取当前frame的ID
+ * content script无法直接得知自己的frameId，由background根据消息发送方返回，结果缓存复用
+ * @return {Promise<number|undefined>} frame ID，获取失败时为undefined
+ */
+function getOwnFrameId() {
+  if (!window.imageListFrameIdPromise) {
+    window.imageListFrameIdPromise = new Promise((resolve) => {
+      try {
+        chrome.runtime.sendMessage({ action: 'getFrameId' }, (response) => {
+          void chrome.runtime.lastError;
+          resolve(response ? response.frameId : undefined);
+        });
+      } catch (error) {
+        resolve(undefined);
+      }
+    }).then((frameId) => {
+      // 获取失败时下次重新请求
+      if (typeof frameId !== 'number') {
+        window.imageListFrameIdPromise = null;
+      }
+      return frameId;
+    });
+  }
+  return window.imageListFrameIdPromise;
+}
+
+/**
+ * 通过长连接向已打开的侧边栏推送消息
+ * 侧边栏的连接覆盖标签页中的所有frame，消息附带frameId以区分图片来源
+ * @param {Object} message 消息内容
+ */
+function postToLivePorts(message) {
+  if (!window.imageListPorts || window.imageListPorts.size === 0) {
+    return;
+  }
+  getOwnFrameId().then((frameId) => {
+    for (const port of window.imageListPorts) {
+      try {
+        port.postMessage({ ...message, frameId: frameId });
+      } catch (error) {
+        console.warn('向侧边栏推送消息失败:', error);
+        window.imageListPorts.delete(port);
+      }
+    }
+  });
+}
+
+/**
+ * 增量提取：只检查发生变化的节点
+ * MutationObserver的记录先汇总，再在短暂延迟后统一处理，避免无限滚动页面频繁全量扫描
+ */
+
+// 注意：content.js会被background重复注入，顶层常量使用var以免重复声明报错
+// 影响图片来源的属性
+var IMAGE_MUTATION_ATTRIBUTES = ['src', 'srcset', 'style', 'data-src', 'data-srcset', 'data-original', 'poster'];
+// 批处理的延迟和最长等待时间（毫秒）
+var IMAGE_MUTATION_DELAY = 250;
+var IMAGE_MUTATION_MAX_WAIT = 1000;
+
+/**
+ * 汇总MutationObserver记录，等待批处理
+ * @param {Array<MutationRecord>} mutations 变化记录
+ */
+function handleImageMutations(mutations) {
+  if (!window.imageListPendingMutations) {
+    window.imageListPendingMutations = {
+      addedRoots: new Set(),
+      changedElements: new Set(),
+      hasRemovals: false,
+      firstAt: Date.now(),
+      timer: null
+    };
+  }
+  const pending = window.imageListPendingMutations;
+
+  for (const mutation of mutations) {
+    // 忽略高亮遮罩自身的变化
+    if (window.imageListOverlay && window.imageListOverlay.contains(mutation.target)) {
+      continue;
+    }
+    if (mutation.type === 'childList') {
+      for (const node of mutation.addedNodes) {
+        if (node.nodeType === Node.ELEMENT_NODE && node !== window.imageListOverlay) {
+          pending.addedRoots.add(node);
+        }
+      }
+      if (Array.from(mutation.removedNodes).some(node => node !== window.imageListOverlay)) {
+        pending.hasRemovals = true;
+      }
+    } else if (mutation.type === 'attributes' && mutation.target.nodeType === Node.ELEMENT_NODE) {
+      pending.changedElements.add(mutation.target);
+    }
+  }
+
+  // 持续变化时也要在最长等待时间内处理一次
+  clearTimeout(pending.timer);
+  const delay = Date.now() - pending.firstAt >= IMAGE_MUTATION_MAX_WAIT ? 0 : IMAGE_MUTATION_DELAY;
+  pending.timer = setTimeout(flushImageMutations, delay);
+}
+
+/**
+ * 判断节点的祖先（不含自身）是否在集合中
+ * @param {Node} node 节点
+ * @param {Set<Node>} nodes 节点集合
+ * @return {boolean} 是否有祖先在集合中
+ */
+function hasAncestorInSet(node, nodes) {
+  for (let parent = node.parentNode; parent; parent = parent.parentNode) {
+    if (nodes.has(parent)) return true;
+  }
+  return false;
+}
+
+/**
+ * 处理汇总的变化，计算新增和移除的图片并推送增量
+ */
+function flushImageMutations() {
+  // 规则加载前不提取，避免跟踪未标准化的URL
+  if (!window.imageListUrlRules) {
+    whenUrlRulesReady().then(flushImageMutations);
+    return;
+  }
+  const pending = window.imageListPendingMutations;
+  window.imageListPendingMutations = null;
+  if (!pending) return;
+
+  try {
+    window.imageListShadowRootCache = new WeakMap();
+    const trackedElements = window.imageListTrackedElements || new Map();
+    const changedElements = pending.changedElements;
+
+    // 移除已脱离文档或属性已变化的元素，之后重新提取
+    const candidateRemovals = [];
+    if (pending.hasRemovals || changedElements.size > 0) {
+      for (const [src, elements] of trackedElements) {
+        for (const element of elements) {
+          if (!element.isConnected || changedElements.has(element)) {
+            elements.delete(element);
+          }
+        }
+        if (elements.size === 0) {
+          trackedElements.delete(src);
+          candidateRemovals.push(src);
+        }
+      }
+    }
+    if (pending.hasRemovals) {
+      pruneElementReferences();
+    }
+
+    // 只保留仍在文档中、且祖先不是其他根节点的节点
+    const roots = new Set([...pending.addedRoots, ...changedElements].filter(node => node.isConnected));
+    const scanRoots = [...roots].filter(node => !hasAncestorInSet(node, roots));
+
+    const images = [];
+    const seenUrls = new Set();
+    for (const root of scanRoots) {
+      extractImgImages(images, seenUrls, root);
+      extractCanvasImages(images, seenUrls, root);
+      extractPictureImages(images, seenUrls, root);
+      extractVideoImages(images, seenUrls, root);
+      extractObjectImages(images, seenUrls, root);
+      extractPreloadImages(images, seenUrls, root);
+      extractSvgImages(images, seenUrls, root);
+      extractBackgroundImages(images, seenUrls, root);
+    }
+    const extracted = images.length > 0 ? processImagesPostExtraction(images) : [];
+    addTransferMetadata(extracted);
+
+    // 计算增量
+    const currentImages = window.imageListImages || [];
+    const currentUrls = new Set(currentImages.map(img => img.src));
+    const added = extracted.filter(img => !currentUrls.has(img.src));
+    const removed = candidateRemovals.filter(src => currentUrls.has(src) && !trackedElements.has(src));
+
+    if (added.length === 0 && removed.length === 0) {
+      return;
+    }
+
+    const removedUrls = new Set(removed);
+    window.imageListImages = currentImages.filter(img => !removedUrls.has(img.src)).concat(added);
+    emitImageDelta(added, removed);
+  } catch (error) {
+    console.warn('增量提取图片失败:', error);
+  }
+}
+
+/**
+ * 推送新增/移除的图片增量
+ * background据此更新标签页索引，侧边栏据此原地更新列表
+ * @param {Array} added 新增的图片信息数组
+ * @param {Array<string>} removed 移除的图片URL数组
+ */
+function emitImageDelta(added, removed) {
+  try {
+    chrome.runtime.sendMessage({
+      action: 'imagesDelta',
+      added: added,
+      removed: removed,
+      pageUrl: window.location.href
+    }, () => {
+      void chrome.runtime.lastError;
+    });
+  } catch (error) {
+    console.warn('推送图片增量失败:', error);
+  }
+
+  // 通过长连接推送给已打开的侧边栏
+  postToLivePorts({ type: 'delta', added: added, removed: removed });
 }
 
 /**
@@ -1543,29 +3680,271 @@ function getImageType(url) {
   return 'unknown';
 }
 
+/**
+ * 从页面读取图片数据，作为background网络请求被拦截时的后备
+ * 同源图片带着页面的Cookie重新请求；其他图片以匿名CORS方式重新加载后绘制到canvas导出PNG
+ * 服务器不允许CORS时加载失败并抛出错误
+ * @param {string} url 图片URL
+ * @return {Promise<Object>} 包含dataUrl和reencoded（是否由canvas重新编码为PNG）
+ */
+async function readImagePixels(url) {
+  const absoluteUrl = new URL(url, window.location.href);
+  if (absoluteUrl.origin === window.location.origin) {
+    try {
+      const response = await fetch(absoluteUrl.href, { credentials: 'include' });
+      if (response.ok) {
+        return { dataUrl: await blobToDataUrl(await response.blob()), reencoded: false };
+      }
+    } catch (error) {
+      console.warn('页面内请求图片失败，改用canvas读取:', error);
+    }
+  }
+
+  // 页面中的图片通常没有以CORS方式加载，绘制后canvas会被污染，总是以匿名CORS方式重新加载
+  const image = await new Promise((resolve, reject) => {
+    const img = new Image();
+    img.crossOrigin = 'anonymous';
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('图片加载失败'));
+    img.src = absoluteUrl.href;
+  });
+
+  const canvas = document.createElement('canvas');
+  canvas.width = image.naturalWidth;
+  canvas.height = image.naturalHeight;
+  canvas.getContext('2d').drawImage(image, 0, 0);
+  return { dataUrl: canvas.toDataURL('image/png'), reencoded: true };
+}
+
+/**
+ * 将Blob转换为data URL
+ * @param {Blob} blob 数据
+ * @return {Promise<string>} data URL
+ */
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * 查找图片的来源元素
+ * 优先使用提取时记录的元素引用，元素已被替换时按图片URL和选择器查找当前的元素
+ * @param {Object} request 包含elementId、src、selector
+ * @return {Element|null} 仍在文档中的元素，找不到返回null
+ */
+function findImageElement(request) {
+  const refs = window.imageListElementRefs;
+  const ref = refs && request.elementId ? refs.get(request.elementId) : null;
+  const element = ref ? ref.deref() : null;
+  if (element && element.isConnected) {
+    return element;
+  }
+  if (ref && !element) {
+    refs.delete(request.elementId);
+  }
+
+  const tracked = window.imageListTrackedElements && request.src
+    ? window.imageListTrackedElements.get(normalizeImageUrl(request.src))
+    : null;
+  if (tracked) {
+    for (const candidate of tracked) {
+      if (candidate.isConnected) return candidate;
+    }
+  }
+
+  if (request.selector) {
+    try {
+      return document.querySelector(request.selector);
+    } catch (error) {
+      // shadow DOM内的选择器在文档中无效
+    }
+  }
+  return null;
+}
+
+/**
+ * 定位并高亮图片的来源元素
+ * @param {Object} request 包含mode（scroll、highlight、preview、clear）和findImageElement需要的字段
+ * @return {Object} 包含found（是否找到元素）和visible（元素是否有渲染尺寸）
+ */
+function locateImageElement(request) {
+  if (request.mode === 'clear') {
+    clearImageHighlight();
+    return { success: true };
+  }
+
+  const element = findImageElement(request);
+  if (!element) {
+    clearImageHighlight();
+    return { success: true, found: false };
+  }
+  if (request.mode === 'scroll') {
+    element.scrollIntoView({ behavior: 'smooth', block: 'center', inline: 'center' });
+  }
+  // 悬停预览显示到侧边栏发送clear，侧边栏关闭时没有clear，也在较长时间后自动隐藏
+  showImageHighlight(element, request.mode === 'preview' ? 10000 : 3000);
+  const rect = element.getBoundingClientRect();
+  return { success: true, found: true, visible: rect.width > 0 && rect.height > 0 };
+}
+
+/**
+ * 读取图片来源元素的选择器和显示尺寸
+ * 选择器和布局计算开销较大，提取时不计算，详情面板打开时按需读取
+ * @param {Object} request 包含elementId、src
+ * @return {Object} 包含success、found，找到元素时还有selector、renderedWidth、renderedHeight
+ */
+function getImageElementInfo(request) {
+  const element = findImageElement(request);
+  if (!element) {
+    return { success: true, found: false };
+  }
+  const rect = element.getBoundingClientRect();
+  return {
+    success: true,
+    found: true,
+    selector: getElementSelector(element),
+    renderedWidth: Math.round(rect.width),
+    renderedHeight: Math.round(rect.height)
+  };
+}
+
+/**
+ * 用遮罩标出元素的渲染区域，并显示元素描述和尺寸
+ * 遮罩挂在documentElement下，不在MutationObserver观察的body中
+ * @param {Element} element 目标元素
+ * @param {number} duration 自动隐藏的毫秒数
+ */
+function showImageHighlight(element, duration) {
+  let overlay = window.imageListOverlay;
+  if (!overlay) {
+    overlay = document.createElement('div');
+    overlay.setAttribute('data-image-list-overlay', '');
+    overlay.style.cssText = 'position:fixed;z-index:2147483647;pointer-events:none;box-sizing:border-box;' +
+      'border:2px solid #1a73e8;background:rgba(26,115,232,0.15);margin:0;padding:0;';
+    const label = document.createElement('div');
+    label.style.cssText = 'position:absolute;left:-2px;max-width:480px;overflow:hidden;text-overflow:ellipsis;' +
+      'white-space:nowrap;padding:2px 6px;font:12px/1.4 system-ui,sans-serif;color:#fff;background:#1a73e8;';
+    overlay.appendChild(label);
+    window.imageListOverlay = overlay;
+  }
+  if (!overlay.isConnected) {
+    document.documentElement.appendChild(overlay);
+  }
+
+  window.imageListHighlightTarget = element;
+  clearTimeout(window.imageListHighlightTimer);
+  window.imageListHighlightTimer = setTimeout(clearImageHighlight, duration);
+
+  // 只在滚动（包括内部滚动容器）和窗口大小变化时更新位置，每帧最多一次
+  if (!window.imageListHighlightListener) {
+    window.imageListHighlightListener = () => {
+      if (window.imageListHighlightFrame) return;
+      window.imageListHighlightFrame = requestAnimationFrame(() => {
+        window.imageListHighlightFrame = 0;
+        positionImageHighlight();
+      });
+    };
+    window.addEventListener('scroll', window.imageListHighlightListener, { capture: true, passive: true });
+    window.addEventListener('resize', window.imageListHighlightListener, { passive: true });
+  }
+  positionImageHighlight();
+}
+
+// 按元素当前的渲染区域更新遮罩位置
+function positionImageHighlight() {
+  const overlay = window.imageListOverlay;
+  const element = window.imageListHighlightTarget;
+  if (!overlay || !element) return;
+
+  const rect = element.getBoundingClientRect();
+  overlay.style.left = `${rect.left}px`;
+  overlay.style.top = `${rect.top}px`;
+  overlay.style.width = `${rect.width}px`;
+  overlay.style.height = `${rect.height}px`;
+
+  const label = overlay.firstChild;
+  const size = `${Math.round(rect.width)} × ${Math.round(rect.height)}`;
+  label.textContent = `${describeElement(element)} · ${rect.width > 0 && rect.height > 0 ? size : 'not rendered'}`;
+  // 元素贴近视口顶部时标签放在遮罩内
+  label.style.top = rect.top < 24 ? '0' : '';
+  label.style.bottom = rect.top < 24 ? '' : '100%';
+}
+
+// 移除高亮遮罩
+function clearImageHighlight() {
+  clearTimeout(window.imageListHighlightTimer);
+  cancelAnimationFrame(window.imageListHighlightFrame);
+  window.imageListHighlightFrame = 0;
+  if (window.imageListHighlightListener) {
+    window.removeEventListener('scroll', window.imageListHighlightListener, { capture: true });
+    window.removeEventListener('resize', window.imageListHighlightListener);
+    window.imageListHighlightListener = null;
+  }
+  window.imageListHighlightTarget = null;
+  if (window.imageListOverlay) {
+    window.imageListOverlay.remove();
+  }
+}
+
 /**
  * 处理来自background script的消息
  */
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.action === 'extractImages') {
-    const images = extractImages();
-    sendResponse({ images: images });
+  if (request.action === 'readImagePixels') {
+    readImagePixels(request.url).then((result) => {
+      sendResponse({ success: true, dataUrl: result.dataUrl, reencoded: result.reencoded });
+    }).catch((error) => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  } else if (request.action === 'locateImage') {
+    sendResponse(locateImageElement(request));
+  } else if (request.action === 'getImageElementInfo') {
+    sendResponse(getImageElementInfo(request));
+  } else if (request.action === 'getInlineSvgData') {
+    sendResponse(getInlineSvgData(request));
+  } else if (request.action === 'getImageHeader') {
+    getImageHeaderForDetails(request.url, request.data).then((header) => {
+      sendResponse({ success: true, header: header });
+    }).catch((error) => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  } else if (request.action === 'getSvgSprites') {
+    getSvgSprites(request.urls || []).then((sprites) => {
+      sendResponse({ success: true, sprites: sprites });
+    }).catch((error) => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  } else if (request.action === 'extractImages') {
+    whenUrlRulesReady().then(() => {
+      const images = extractImages();
+      pushImageIndexUpdate('replace', images);
+      sendResponse({ images: images });
+    });
+    return true;
   } else if (request.action === 'getCachedImage') {
     // 尝试从缓存获取图片数据
     try {
-      // 从localStorage获取图片数据
-      const storedImages = localStorage.getItem('pageImages');
-      if (storedImages) {
+      // 从最近一次提取的结果中查找图片数据
+      const lastImages = window.imageListImages;
+      if (lastImages) {
         try {
-          const images = JSON.parse(storedImages);
-          const cachedImage = images.find(img => img.src === request.url);
+          // 侧边栏按页面实际加载的URL请求，标准化后的src只用于去重
+          const cachedImage = lastImages.find(img => (img.originalSrc || img.src) === request.url);
+          const cachedSrc = cachedImage && (cachedImage.originalSrc || cachedImage.src);
 
-          if (cachedImage && cachedImage.src) {
+          if (cachedSrc) {
             // 检查是否为SVG
-            if (cachedImage.src.includes('.svg') || cachedImage.src.includes('svg+xml')) {
+            if (cachedSrc.includes('.svg') || cachedSrc.includes('svg+xml')) {
               // 对于SVG，无论缓存如何，都直接从原始URL获取完整内容
               try {
-                let svgUrl = cachedImage.src;
+                let svgUrl = cachedSrc;
                 // 如果是data URL，尝试从DOM中找到原始img元素获取真实URL
                 if (svgUrl.includes('data:image/svg+xml')) {
                   const imgElements = document.querySelectorAll('img');
@@ -1612,10 +3991,10 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
                   .catch(error => {
                     console.warn('获取SVG内容失败:', error);
                     // 如果获取失败，尝试使用缓存的src
-                    if (cachedImage.src) {
+                    if (cachedSrc) {
                       sendResponse({
                         success: true,
-                        dataUrl: cachedImage.src
+                        dataUrl: cachedSrc
                       });
                     } else {
                       sendResponse({ success: false, error: '无法获取SVG内容' });
@@ -1625,10 +4004,10 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
               } catch (error) {
                 console.warn('处理SVG失败:', error);
                 // 如果处理失败，尝试使用缓存的src
-                if (cachedImage.src) {
+                if (cachedSrc) {
                   sendResponse({
                     success: true,
-                    dataUrl: cachedImage.src
+                    dataUrl: cachedSrc
                   });
                 } else {
                   sendResponse({ success: false, error: '无法处理SVG' });
@@ -1639,14 +4018,14 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
               // 非SVG图片，直接返回缓存
               sendResponse({
                 success: true,
-                dataUrl: cachedImage.src
+                dataUrl: cachedSrc
               });
               return true;
             }
           }
         } catch (error) {
-          console.error('解析localStorage数据失败:', error);
-          // localStorage数据可能损坏，继续从DOM获取
+          console.error('读取提取结果失败:', error);
+          // 提取结果不可用，继续从DOM获取
         }
       }
 
@@ -1731,22 +4110,47 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
 // 当页面加载完成时提取图片
 window.addEventListener('load', () => {
-  const images = extractImages();
-  // 存储图片信息到localStorage，供侧边栏使用
-  localStorage.setItem('pageImages', JSON.stringify(images));
+  whenUrlRulesReady().then(() => {
+    const images = extractImages();
+    // 推送到background的标签页图片索引，供侧边栏使用
+    pushImageIndexUpdate('replace', images);
+  });
 });
 
-// 当页面DOM变化时重新提取图片
+// 加载URL标准化规则，规则修改后重新加载
+if (!window.imageListUrlRulesListener) {
+  window.imageListUrlRulesListener = (changes, areaName) => {
+    if (areaName === 'sync' && 'urlNormalizationRules' in changes) {
+      loadUrlNormalizationRules();
+    }
+  };
+  chrome.storage.onChanged.addListener(window.imageListUrlRulesListener);
+  loadUrlNormalizationRules();
+}
+
+// 侧边栏通过长连接订阅图片增量
+if (!window.imageListPorts) {
+  window.imageListPorts = new Set();
+
+  chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== 'image-list-live') return;
+    window.imageListPorts.add(port);
+    port.onDisconnect.addListener(() => {
+      window.imageListPorts.delete(port);
+    });
+  });
+}
+
+// 当页面DOM变化时增量提取图片
 // 使用条件声明，避免重复声明错误
 if (!window.imageListObserver) {
-  window.imageListObserver = new MutationObserver(() => {
-    const images = extractImages();
-    localStorage.setItem('pageImages', JSON.stringify(images));
-  });
+  window.imageListObserver = new MutationObserver(handleImageMutations);
 
   window.imageListObserver.observe(document.body, {
     childList: true,
-    subtree: true
+    subtree: true,
+    attributes: true,
+    attributeFilter: IMAGE_MUTATION_ATTRIBUTES
   });
 }
 
@@ -1755,7 +4159,11 @@ if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     parseSvgDimensions,
     parseSvgLength,
+    parseSrcset,
+    parseSvgSprite,
+    parseCssImageValue,
     getImageType,
     detectImageTypeByMagicNumber,
+    parseImageHeader,
   };
 }
\ No newline at end of file
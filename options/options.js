@@ -0,0 +1,137 @@
+// options.js - Settings page logic
+
+/**
+ * Initialize the settings page
+ */
+async function initOptions() {
+  document.getElementById('save-btn').addEventListener('click', saveOptions);
+  document.getElementById('reset-btn').addEventListener('click', resetOptions);
+  document.getElementById('filenameTemplate').addEventListener('input', updateFilenamePreview);
+  
+  const settings = await chrome.runtime.sendMessage({ action: 'getSettings' });
+  fillOptions(settings);
+}
+
+/**
+ * Fill every setting field from a settings object
+ * @param {Object} settings Settings
+ */
+function fillOptions(settings) {
+  document.querySelectorAll('[data-setting]').forEach((field) => {
+    const value = settings[field.dataset.setting];
+    if (field.type === 'checkbox') {
+      field.checked = Boolean(value);
+    } else if (field.dataset.format === 'json') {
+      field.value = JSON.stringify(value, null, 2);
+    } else if (value !== undefined) {
+      field.value = value;
+    }
+  });
+  updateFilenamePreview();
+}
+
+/**
+ * Read every setting field
+ * @return {Object} Settings
+ * @throws {Error} When a JSON field is invalid
+ */
+function readOptions() {
+  const settings = {};
+  document.querySelectorAll('[data-setting]').forEach((field) => {
+    if (field.type === 'checkbox') {
+      settings[field.dataset.setting] = field.checked;
+    } else if (field.dataset.format === 'json') {
+      try {
+        settings[field.dataset.setting] = JSON.parse(field.value);
+      } catch (error) {
+        throw new Error(`${field.labels[0].textContent}: ${error.message}`);
+      }
+    } else if (field.type === 'number') {
+      settings[field.dataset.setting] = Number(field.value);
+    } else {
+      settings[field.dataset.setting] = field.value;
+    }
+  });
+  validateUrlNormalizationRules(settings.urlNormalizationRules);
+  return settings;
+}
+
+/**
+ * Check the shape of the URL normalization rules and that every rewrite pattern compiles
+ * @param {Object} rules URL normalization rules
+ * @throws {Error} When the rules are invalid
+ */
+function validateUrlNormalizationRules(rules) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    throw new Error('URL normalization rules must be an object');
+  }
+  for (const key of ['removeParams', 'hosts', 'rewrites']) {
+    if (rules[key] !== undefined && !Array.isArray(rules[key])) {
+      throw new Error(`URL normalization "${key}" must be a list`);
+    }
+  }
+  for (const rule of rules.hosts || []) {
+    if (!rule || typeof rule.host !== 'string') {
+      throw new Error('Every URL normalization host rule needs a "host"');
+    }
+  }
+  for (const rewrite of rules.rewrites || []) {
+    try {
+      new RegExp(rewrite.pattern);
+    } catch (error) {
+      throw new Error(`Invalid rewrite pattern: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Save the settings to sync storage
+ */
+async function saveOptions() {
+  try {
+    await chrome.storage.sync.set(readOptions());
+    showStatus('Saved');
+  } catch (error) {
+    console.error('Failed to save settings:', error);
+    showStatus('Save failed: ' + error.message);
+  }
+}
+
+/**
+ * Remove the saved settings so the defaults apply again
+ */
+async function resetOptions() {
+  try {
+    await chrome.storage.sync.clear();
+    fillOptions(await chrome.runtime.sendMessage({ action: 'getSettings' }));
+    showStatus('Defaults restored');
+  } catch (error) {
+    console.error('Failed to reset settings:', error);
+    showStatus('Reset failed: ' + error.message);
+  }
+}
+
+/**
+ * Show an example filename for the current template
+ */
+async function updateFilenamePreview() {
+  const template = document.getElementById('filenameTemplate').value;
+  const response = await chrome.runtime.sendMessage({ action: 'previewFilename', template: template });
+  document.getElementById('filename-preview').textContent = response ? response.filename : '';
+}
+
+/**
+ * Show a short status message next to the buttons
+ * @param {string} message Message
+ */
+function showStatus(message) {
+  const status = document.getElementById('status');
+  status.textContent = message;
+  clearTimeout(window.statusTimer);
+  window.statusTimer = setTimeout(() => {
+    status.textContent = '';
+  }, 2000);
+}
+
+// Initialize settings page
+initOptions();
@@ -7,30 +7,110 @@ function initSidebar() {
   // Bind event listeners
   document.getElementById('refresh-btn').addEventListener('click', refreshImages);
   document.getElementById('download-all-btn').addEventListener('click', downloadAllImages);
+  document.getElementById('scan-css-btn').addEventListener('click', scanStylesheets);
+  document.getElementById('settings-btn').addEventListener('click', () => chrome.runtime.openOptionsPage());
   document.getElementById('type-filter').addEventListener('change', filterImages);
+  document.getElementById('element-filter').addEventListener('change', filterImages);
+  document.getElementById('search-filter').addEventListener('input', filterImages);
+  document.querySelectorAll('.filter-ranges input').forEach(input => {
+    input.addEventListener('input', filterImages);
+  });
+  document.getElementById('sort-order').addEventListener('change', sortImages);
+  
+  document.getElementById('select-visible-btn').addEventListener('click', selectVisibleImages);
+  document.getElementById('invert-selection-btn').addEventListener('click', invertSelection);
+  document.getElementById('clear-selection-btn').addEventListener('click', () => setSelection([]));
+  document.getElementById('download-selected-btn').addEventListener('click', downloadSelectedImages);
+  document.getElementById('copy-urls-btn').addEventListener('click', copySelectedUrls);
+  document.getElementById('export-metadata-btn').addEventListener('click', exportSelectedMetadata);
+  document.getElementById('zip-selected-btn').addEventListener('click', zipSelectedImages);
+  
+  document.getElementById('find-duplicates-btn').addEventListener('click', findDuplicates);
+  document.getElementById('keep-largest-btn').addEventListener('click', keepLargestDuplicates);
+  
+  document.getElementById('download-pause-btn').addEventListener('click', toggleDownloadPause);
+  document.getElementById('download-cancel-btn').addEventListener('click', cancelDownloadQueue);
+  document.getElementById('download-close-btn').addEventListener('click', () => {
+    document.getElementById('download-progress').classList.add('hidden');
+  });
+  
+  document.getElementById('detail-close-btn').addEventListener('click', closeImageDetail);
+  document.getElementById('detail-download-btn').addEventListener('click', downloadDetailImage);
+  document.getElementById('detail-reset-btn').addEventListener('click', () => setDetailTransform(null));
+  document.getElementById('detail-rotate-left-btn').addEventListener('click', () => rotateDetailImage(-90));
+  document.getElementById('detail-rotate-right-btn').addEventListener('click', () => rotateDetailImage(90));
+  document.getElementById('detail-zip-toggle').addEventListener('change', updateDetailPreview);
+  document.querySelectorAll('.detail-edit select, .detail-edit input:not(#detail-zip-toggle)').forEach(input => {
+    input.addEventListener('input', updateDetailPreview);
+  });
+  
+  document.getElementById('live-toggle').addEventListener('change', toggleLiveUpdates);
+  document.getElementById('new-images-badge').addEventListener('click', showNewImages);
+  
+  // Reload the list when the displayed tab navigates
+  chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+    if (tabId === window.targetTabId && changeInfo.status === 'complete') {
+      refreshImages();
+    }
+  });
   
   // Get images on initialization
   refreshImages();
 }
 
+/**
+ * Get the ID of the tab whose images are shown
+ * @return {Promise<number>} Target tab ID
+ */
+async function getTargetTabId() {
+  // Check if opened from new tab
+  const urlParams = new URLSearchParams(window.location.search);
+  const tabIdParam = urlParams.get('tabId');
+  
+  if (tabIdParam) {
+    // Get tabId from URL parameter
+    return parseInt(tabIdParam);
+  }
+  
+  // Get current active tab
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  return tab.id;
+}
+
+/**
+ * Render the tab's image index kept by the background script
+ * @param {number} tabId Target tab ID
+ * @return {Promise<boolean>} Whether any indexed images were rendered
+ */
+async function renderImageIndex(tabId) {
+  const response = await chrome.runtime.sendMessage({
+    action: 'getImageIndex',
+    tabId: tabId
+  });
+  const images = response && response.images ? response.images : [];
+  if (images.length === 0) {
+    return false;
+  }
+  
+  window.imagesData = images;
+  renderImages(images);
+  return true;
+}
+
 /**
  * Refresh images list
  */
 async function refreshImages() {
+  let targetTabId;
   try {
-    let targetTabId;
+    targetTabId = await getTargetTabId();
+    window.targetTabId = targetTabId;
     
-    // Check if opened from new tab
-    const urlParams = new URLSearchParams(window.location.search);
-    const tabIdParam = urlParams.get('tabId');
-    
-    if (tabIdParam) {
-      // Get tabId from URL parameter
-      targetTabId = parseInt(tabIdParam);
-    } else {
-      // Get current active tab
-      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-      targetTabId = tab.id;
+    // Render the stored index first so the list appears instantly
+    if (!window.imagesData) {
+      await renderImageIndex(targetTabId).catch((error) => {
+        console.warn('Failed to read image index:', error);
+      });
     }
     
     // Get images through background script (more reliable communication method)
@@ -42,23 +122,436 @@ async function refreshImages() {
     
     // Store image data
     window.imagesData = images;
+    window.selectedImages = new Set();
+    window.lastSelectedSrc = null;
+    window.pendingDeltas = null;
+    window.newImagesCount = 0;
+    window.inlineSvgPreviews = null;
+    updateNewImagesBadge();
     
     // Render images list
     renderImages(images);
+    updateSelectionInfo();
+    detectSvgSprites(images);
+    loadTransferInfo(images);
+    
+    // Keep the list updated as the page changes
+    connectLivePort(targetTabId);
   } catch (error) {
     console.error('Failed to get images:', error);
-    // Try to get image data from localStorage
-    const storedImages = localStorage.getItem('pageImages');
-    if (storedImages) {
-      const images = JSON.parse(storedImages);
-      window.imagesData = images;
-      renderImages(images);
-    } else {
+    // Fall back to the last known index for this tab
+    const rendered = targetTabId ? await renderImageIndex(targetTabId).catch(() => false) : false;
+    if (!rendered) {
+      window.imagesData = [];
       renderImages([]);
     }
   }
 }
 
+/**
+ * Open a long-lived port to the tab's content script for live updates
+ * @param {number} tabId Target tab ID
+ */
+function connectLivePort(tabId) {
+  if (window.livePort) {
+    window.livePort.disconnect();
+    window.livePort = null;
+  }
+  
+  try {
+    const port = chrome.tabs.connect(tabId, { name: 'image-list-live' });
+    // The port reaches every frame in the tab; each message carries its sender's frameId
+    port.onMessage.addListener((message) => {
+      if (message.type === 'delta') {
+        handleImagesDelta(tagImagesWithFrame(message.added || [], message.frameId), message.removed || []);
+      } else if (message.type === 'update') {
+        applyImageUpdates(tagImagesWithFrame(message.images || [], message.frameId));
+      }
+    });
+    port.onDisconnect.addListener(() => {
+      void chrome.runtime.lastError;
+      if (window.livePort === port) {
+        window.livePort = null;
+      }
+    });
+    window.livePort = port;
+  } catch (error) {
+    console.warn('Failed to connect live updates:', error);
+  }
+}
+
+/**
+ * Record which frame images came from, so fetches and downloads go through that frame
+ * @param {Array} images Image information
+ * @param {number} [frameId] Frame ID, left unset when unknown
+ * @return {Array} Images with frameId set
+ */
+function tagImagesWithFrame(images, frameId) {
+  if (typeof frameId !== 'number') {
+    return images;
+  }
+  return images.map(image => ({ ...image, frameId: frameId }));
+}
+
+/**
+ * Handle an image delta from the page, queueing it while live updates are paused
+ * @param {Array} added Newly found images
+ * @param {Array<string>} removed URLs of images no longer on the page
+ */
+function handleImagesDelta(added, removed) {
+  if (window.liveUpdatesPaused) {
+    window.pendingDeltas = window.pendingDeltas || [];
+    window.pendingDeltas.push({ added, removed });
+    updateNewImagesBadge();
+    return;
+  }
+  applyImagesDelta(added, removed);
+}
+
+/**
+ * Apply added/removed images to the list in place
+ * @param {Array} added Newly found images
+ * @param {Array<string>} removed URLs of images no longer on the page
+ */
+function applyImagesDelta(added, removed) {
+  const imagesList = document.getElementById('images-list');
+  window.imagesData = window.imagesData || [];
+  
+  // Mark removed images instead of dropping them from the list
+  for (const src of removed) {
+    const image = window.imagesData.find(item => item.src === src);
+    if (image) {
+      image.removed = true;
+    }
+    const imageItem = findImageItem(src);
+    if (imageItem) {
+      imageItem.classList.add('image-item-removed');
+    }
+  }
+  
+  // Append new images, reviving ones that came back
+  for (const image of added) {
+    const existingImage = window.imagesData.find(item => item.src === image.src);
+    if (existingImage) {
+      Object.assign(existingImage, image, { removed: false });
+      const imageItem = findImageItem(image.src);
+      if (imageItem) {
+        imageItem.classList.remove('image-item-removed');
+      }
+      continue;
+    }
+    
+    window.imagesData.push(image);
+    const imageItem = createImageItem(image, window.imagesData.length - 1);
+    imageItem.classList.add('image-item-new');
+    imagesList.appendChild(imageItem);
+    window.newImagesCount = (window.newImagesCount || 0) + 1;
+  }
+  
+  document.getElementById('empty-state').classList.toggle('hidden', window.imagesData.length > 0);
+  detectSvgSprites(added);
+  loadTransferInfo(added);
+  updateImagesCount();
+  updateNewImagesBadge();
+  filterImages();
+}
+
+/**
+ * Merge asynchronously detected details (type, size, header metadata) into listed images
+ * @param {Array} updates Updated image information
+ */
+function applyImageUpdates(updates) {
+  for (const update of updates) {
+    const index = (window.imagesData || []).findIndex(image => image.src === update.src);
+    if (index === -1) {
+      continue;
+    }
+    const image = Object.assign(window.imagesData[index], update);
+    const imageItem = findImageItem(image.src);
+    if (imageItem) {
+      const updatedItem = createImageItem(image, index);
+      updatedItem.className = imageItem.className;
+      imageItem.replaceWith(updatedItem);
+    }
+  }
+  sortImages();
+  filterImages();
+}
+
+/**
+ * Look up byte size and content type for images the page's Resource Timing didn't cover
+ * (cross-origin images without Timing-Allow-Origin), a few requests at a time
+ * @param {Array} images Image information array
+ */
+async function loadTransferInfo(images) {
+  window.transferInfoRequested = window.transferInfoRequested || new Set();
+  const pending = images.filter(image => image.byteSize === undefined &&
+    /^https?:/.test(image.src) &&
+    !window.transferInfoRequested.has(image.src));
+  pending.forEach(image => window.transferInfoRequested.add(image.src));
+  
+  // Apply results in batches: applyImageUpdates re-sorts and re-filters the whole list
+  const updates = [];
+  let flushTimer = null;
+  const flush = () => {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    if (updates.length > 0) {
+      applyImageUpdates(updates.splice(0));
+    }
+  };
+  
+  const concurrency = 4;
+  const worker = async () => {
+    while (pending.length > 0) {
+      const image = pending.shift();
+      try {
+        const response = await chrome.runtime.sendMessage({
+          action: 'getTransferInfo',
+          url: getFetchSrc(image)
+        });
+        if (response && response.success) {
+          updates.push({ src: image.src, ...response.info });
+          if (!flushTimer) {
+            flushTimer = setTimeout(flush, 250);
+          }
+        }
+      } catch (error) {
+        console.warn('Failed to get transfer info:', image.src, error);
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: concurrency }, worker));
+  flush();
+}
+
+/**
+ * Find the card element for an image URL
+ * @param {string} src Image URL
+ * @return {HTMLElement|null} Image item element
+ */
+function findImageItem(src) {
+  return document.querySelector(`.image-item[data-src="${CSS.escape(src)}"]`);
+}
+
+/**
+ * Pause or resume live updates
+ */
+function toggleLiveUpdates() {
+  window.liveUpdatesPaused = !document.getElementById('live-toggle').checked;
+  
+  if (!window.liveUpdatesPaused && window.pendingDeltas) {
+    // Apply everything that arrived while paused
+    const pendingDeltas = window.pendingDeltas;
+    window.pendingDeltas = null;
+    pendingDeltas.forEach(delta => applyImagesDelta(delta.added, delta.removed));
+  }
+  updateNewImagesBadge();
+}
+
+/**
+ * Update the "new images" badge
+ */
+function updateNewImagesBadge() {
+  const badge = document.getElementById('new-images-badge');
+  const pendingCount = (window.pendingDeltas || []).reduce((count, delta) => count + delta.added.length, 0);
+  const newCount = (window.newImagesCount || 0) + pendingCount;
+  
+  badge.textContent = window.liveUpdatesPaused && pendingCount > 0 ? `${pendingCount} pending` : `${newCount} new`;
+  badge.classList.toggle('hidden', newCount === 0);
+}
+
+/**
+ * Scroll to the first new image and clear the badge
+ */
+function showNewImages() {
+  if (window.liveUpdatesPaused) {
+    document.getElementById('live-toggle').checked = true;
+    toggleLiveUpdates();
+  }
+  
+  const newItems = document.querySelectorAll('.image-item-new');
+  if (newItems.length > 0) {
+    newItems[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }
+  newItems.forEach(item => item.classList.remove('image-item-new'));
+  window.newImagesCount = 0;
+  updateNewImagesBadge();
+}
+
+/**
+ * Update the image count information
+ */
+function updateImagesCount() {
+  const countInfo = document.querySelector('.images-count');
+  if (!countInfo) {
+    return;
+  }
+  const images = window.imagesData || [];
+  const removedCount = images.filter(image => image.removed).length;
+  countInfo.textContent = removedCount > 0
+    ? `Found ${images.length} images (${removedCount} removed from page)`
+    : `Found ${images.length} images`;
+}
+
+/**
+ * Scan the page's stylesheets for every referenced image
+ */
+async function scanStylesheets() {
+  const scanButton = document.getElementById('scan-css-btn');
+  scanButton.disabled = true;
+  scanButton.textContent = 'Scanning...';
+  
+  try {
+    const targetTabId = await getTargetTabId();
+    const response = await chrome.runtime.sendMessage({
+      action: 'scanStylesheets',
+      tabId: targetTabId
+    });
+    window.cssImagesData = response && response.images ? response.images : [];
+    renderCssImages(window.cssImagesData);
+  } catch (error) {
+    console.error('Failed to scan stylesheets:', error);
+    alert('Failed to scan stylesheets: ' + error.message);
+  } finally {
+    scanButton.disabled = false;
+    scanButton.textContent = 'Scan CSS';
+  }
+}
+
+/**
+ * Render the "From CSS" group
+ * @param {Array} images Images referenced in stylesheets
+ */
+function renderCssImages(images) {
+  const section = document.getElementById('css-images-section');
+  const cssImagesList = document.getElementById('css-images-list');
+  
+  cssImagesList.innerHTML = '';
+  section.classList.remove('hidden');
+  section.querySelector('.section-title').textContent = `From CSS (${images.length})`;
+  
+  images.forEach((image, index) => {
+    cssImagesList.appendChild(createImageItem(image, index));
+  });
+  filterImages();
+}
+
+/**
+ * Detect SVG sprite sheets among the images and expand them into one entry per symbol
+ * @param {Array} images Images to check
+ */
+async function detectSvgSprites(images) {
+  const urls = images
+    .filter(image => image.type === 'svg' && image.elementType !== 'inline-svg' && !image.spriteSrc)
+    .map(image => image.src);
+  if (urls.length === 0) {
+    return;
+  }
+  
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'getSvgSprites',
+      tabId: window.targetTabId,
+      urls: urls
+    });
+    const sprites = response && response.sprites ? response.sprites : {};
+    Object.entries(sprites).forEach(([spriteSrc, symbols]) => expandSvgSprite(spriteSrc, symbols));
+  } catch (error) {
+    console.warn('Failed to detect SVG sprites:', error);
+  }
+}
+
+/**
+ * Insert one card per sprite symbol after the sprite's own card
+ * @param {string} spriteSrc Sprite sheet URL
+ * @param {Array} symbols Symbols with id, width, height and standalone src
+ */
+function expandSvgSprite(spriteSrc, symbols) {
+  const spriteImage = (window.imagesData || []).find(image => image.src === spriteSrc);
+  const spriteItem = findImageItem(spriteSrc);
+  if (!spriteImage || !spriteItem || spriteImage.symbols) {
+    return;
+  }
+  
+  spriteImage.symbols = symbols.map(symbol => ({
+    src: symbol.src,
+    name: symbol.id,
+    alt: symbol.id,
+    width: symbol.width,
+    height: symbol.height,
+    type: 'svg',
+    elementType: 'sprite-symbol',
+    spriteSrc: spriteSrc
+  }));
+  
+  // Mark the sprite card and offer zipping the whole set
+  const spriteInfo = document.createElement('div');
+  spriteInfo.className = 'image-sprite';
+  spriteInfo.textContent = `Sprite: ${symbols.length} icons`;
+  spriteItem.querySelector('.image-info').appendChild(spriteInfo);
+  
+  const zipBtn = document.createElement('button');
+  zipBtn.className = 'download-btn';
+  zipBtn.textContent = 'Zip icons';
+  zipBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    downloadSpriteAsZip(spriteImage);
+  });
+  spriteItem.querySelector('.image-actions').appendChild(zipBtn);
+  
+  // Symbols follow the sprite in the list and can be downloaded individually
+  let insertAfter = spriteItem;
+  const spriteIndex = window.imagesData.indexOf(spriteImage);
+  window.imagesData.splice(spriteIndex + 1, 0, ...spriteImage.symbols);
+  spriteImage.symbols.forEach((symbolImage, index) => {
+    const symbolItem = createImageItem(symbolImage, spriteIndex + index + 1);
+    symbolItem.classList.add('image-item-symbol');
+    insertAfter.after(symbolItem);
+    insertAfter = symbolItem;
+  });
+  
+  updateImagesCount();
+  filterImages();
+}
+
+/**
+ * Download all symbols of a sprite sheet as a zip of standalone SVGs
+ * @param {Object} spriteImage Sprite image with expanded symbols
+ */
+async function downloadSpriteAsZip(spriteImage) {
+  try {
+    const zip = new JSZip();
+    const usedNames = new Set();
+    
+    spriteImage.symbols.forEach((symbol) => {
+      const svgContent = decodeURIComponent(symbol.src.slice(symbol.src.indexOf(',') + 1));
+      let name = symbol.name.replace(/[\\/:*?"<>|]/g, '_') || 'icon';
+      // Keep names unique within the archive
+      let uniqueName = name;
+      for (let i = 2; usedNames.has(uniqueName); i++) {
+        uniqueName = `${name}_${i}`;
+      }
+      usedNames.add(uniqueName);
+      zip.file(`${uniqueName}.svg`, svgContent);
+    });
+    
+    const zipBlob = await zip.generateAsync({ type: 'blob' });
+    const spriteName = (spriteImage.src.split('?')[0].split('/').pop() || 'sprite').replace(/\.svg$/i, '');
+    const url = URL.createObjectURL(zipBlob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${spriteName}-icons.zip`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  } catch (error) {
+    console.error('Failed to zip sprite icons:', error);
+    alert('Download failed: ' + error.message);
+  }
+}
+
 /**
  * Render images list
  * @param {Array} images Image information array
@@ -91,238 +584,2737 @@ function renderImages(images) {
   // Create count information element
   const countInfo = document.createElement('div');
   countInfo.className = 'images-count';
-  countInfo.textContent = `Found ${images.length} images`;
   
   // Insert before images list
   imagesContainer.insertBefore(countInfo, imagesList);
+  updateImagesCount();
   
   // Render image items
   images.forEach((image, index) => {
-    const imageItem = document.createElement('div');
-    imageItem.className = 'image-item';
-    imageItem.dataset.type = image.type;
-    
-    // Create image preview
-    const imgPreview = document.createElement('img');
-    imgPreview.className = 'image-preview';
-    imgPreview.src = image.src;
-    imgPreview.alt = image.alt || `Image ${index + 1}`;
-    imgPreview.title = image.alt || `Image ${index + 1}`;
-    
-    // Add image load error handling
-    let errorCount = 0;
-    const maxErrors = 2; // Maximum error count to prevent infinite loop
-    
-    imgPreview.onerror = function() {
-      errorCount++;
-      
-      if (errorCount > maxErrors) {
-        console.warn('Image preview failed multiple times, showing placeholder:', image.src);
-        // Show default placeholder
-        imgPreview.src = 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" width="100" height="100" viewBox="0 0 100 100"%3E%3Crect width="100" height="100" fill="%23f0f0f0"/%3E%3Ctext x="50" y="50" font-family="Arial" font-size="12" fill="%23999" text-anchor="middle" dominant-baseline="middle"%3ECannot preview%3C/text%3E%3C/svg%3E';
-        return;
-      }
-      
-      console.warn('Image preview failed, trying to use cached data:', image.src);
-      
-      // Try to get cached image data through background script
-      try {
-        // Get current tab ID
-        let targetTabId;
-        const urlParams = new URLSearchParams(window.location.search);
-        const tabIdParam = urlParams.get('tabId');
-        
-        if (tabIdParam) {
-          targetTabId = parseInt(tabIdParam);
-        } else {
-          // If no tabId parameter, try to get current active tab
-          chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-            if (tabs[0]) {
-              targetTabId = tabs[0].id;
-              sendCachedImageRequest(targetTabId);
-            } else {
-              // Show default placeholder
-              imgPreview.src = 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" width="100" height="100" viewBox="0 0 100 100"%3E%3Crect width="100" height="100" fill="%23f0f0f0"/%3E%3Ctext x="50" y="50" font-family="Arial" font-size="12" fill="%23999" text-anchor="middle" dominant-baseline="middle"%3ECannot preview%3C/text%3E%3C/svg%3E';
-            }
-          });
-          return;
-        }
-        
-        function sendCachedImageRequest(tabId) {
-          chrome.runtime.sendMessage({ 
-            action: 'getCachedImage', 
-            tabId: tabId,
-            url: image.src 
-          }, (response) => {
-            if (response && response.success && response.dataUrl && response.dataUrl !== image.src) {
-              // Use cached data URL, ensure it's different from original URL
-              imgPreview.src = response.dataUrl;
-            } else {
-              // Show default placeholder
-              imgPreview.src = 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" width="100" height="100" viewBox="0 0 100 100"%3E%3Crect width="100" height="100" fill="%23f0f0f0"/%3E%3Ctext x="50" y="50" font-family="Arial" font-size="12" fill="%23999" text-anchor="middle" dominant-baseline="middle"%3ECannot preview%3C/text%3E%3C/svg%3E';
-            }
-          });
-        }
-        
-        sendCachedImageRequest(targetTabId);
-      } catch (error) {
-        console.error('Failed to get cached image:', error);
-        // Show default placeholder
-        imgPreview.src = 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" width="100" height="100" viewBox="0 0 100 100"%3E%3Crect width="100" height="100" fill="%23f0f0f0"/%3E%3Ctext x="50" y="50" font-family="Arial" font-size="12" fill="%23999" text-anchor="middle" dominant-baseline="middle"%3ECannot preview%3C/text%3E%3C/svg%3E';
-      }
-    };
-    
-    // Create image information
-    const imgInfo = document.createElement('div');
-    imgInfo.className = 'image-info';
-    const sizeInfo = image.width > 0 && image.height > 0 ? `${image.width}x${image.height}` : 'Unknown size';
-    const typeDisplay = image.type && image.type !== 'unknown' ? image.type.toUpperCase() : 'Image';
-    imgInfo.innerHTML = `${typeDisplay}<br>${sizeInfo}`;
-    
-    // Create download button
-    const downloadBtn = document.createElement('button');
-    downloadBtn.className = 'download-btn';
-    downloadBtn.textContent = 'Download';
-    downloadBtn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      downloadImage(image.src);
-    });
-    
-    // Create image actions container
-    const imgActions = document.createElement('div');
-    imgActions.className = 'image-actions';
-    imgActions.appendChild(downloadBtn);
-    
-    // Assemble image item
-    imageItem.appendChild(imgPreview);
-    imageItem.appendChild(imgInfo);
-    imageItem.appendChild(imgActions);
-    
-    // Add to list
-    imagesList.appendChild(imageItem);
+    imagesList.appendChild(createImageItem(image, index));
   });
+  sortImages();
+  filterImages();
 }
 
 /**
- * Filter images
+ * Reorder the image cards by the selected sort order
  */
-function filterImages() {
-  const filterType = document.getElementById('type-filter').value;
-  const imageItems = document.querySelectorAll('.image-item');
-  
-  imageItems.forEach(item => {
-    const itemType = item.dataset.type;
-    
-    if (filterType === 'all' || 
-        (filterType === 'jpg' && (itemType === 'jpg' || itemType === 'jpeg')) ||
-        itemType === filterType) {
-      item.style.display = 'block';
-    } else {
-      item.style.display = 'none';
+function sortImages() {
+  const imagesList = document.getElementById('images-list');
+  const items = new Map(Array.from(imagesList.children).map(item => [item.dataset.src, item]));
+  orderImages(window.imagesData || []).forEach(image => {
+    const imageItem = items.get(image.src);
+    if (imageItem) {
+      imagesList.appendChild(imageItem);
     }
   });
 }
 
 /**
- * Download single image
- * @param {string} url Image URL
+ * Sort images by the selected sort order, keeping page order for ties
+ * @param {Array} images Image information array
+ * @return {Array} Sorted copy
  */
-async function downloadImage(url) {
-  try {
-    const response = await chrome.runtime.sendMessage({
-      action: 'downloadImage',
-      url: url
+function orderImages(images) {
+  const [key, direction] = document.getElementById('sort-order').value.split('-');
+  const getValue = SORT_VALUES[key];
+  const indexed = images.map((image, index) => ({ image, index }));
+  
+  if (getValue) {
+    indexed.sort((a, b) => {
+      const valueA = getValue(a.image);
+      const valueB = getValue(b.image);
+      // Images with an unknown value go last
+      if ((valueA === undefined) !== (valueB === undefined)) {
+        return valueA === undefined ? 1 : -1;
+      }
+      if (valueA !== valueB) {
+        const result = typeof valueA === 'string' ? valueA.localeCompare(valueB) : valueA - valueB;
+        return direction === 'desc' ? -result : result;
+      }
+      return a.index - b.index;
     });
-    
-    if (!response.success) {
-      console.error('Download failed:', response.error);
-      alert('Download failed: ' + response.error);
-    }
-  } catch (error) {
-    console.error('Failed to download image:', error);
-    alert('Download failed: ' + error.message);
   }
+  return indexed.map(entry => entry.image);
 }
 
+// Sort keys offered by the sort dropdown; undefined means unknown
+const SORT_VALUES = {
+  size: image => image.byteSize,
+  width: image => image.width > 0 ? image.width : undefined,
+  height: image => image.height > 0 ? image.height : undefined,
+  area: image => image.width > 0 && image.height > 0 ? image.width * image.height : undefined,
+  type: image => getImageTypeKey(image.type),
+  duplicate: image => image.duplicateGroup
+};
+
 /**
- * Download all images (packaged as zip)
+ * Create the card element for one image
+ * @param {Object} image Image information
+ * @param {number} index Position in the list
+ * @return {HTMLElement} Image item element
  */
-async function downloadAllImages() {
-  if (!window.imagesData || window.imagesData.length === 0) {
-    alert('No images available for download');
-    return;
+function createImageItem(image, index) {
+  const imageItem = document.createElement('div');
+  imageItem.className = 'image-item';
+  imageItem.dataset.type = image.type;
+  imageItem.dataset.src = image.src;
+  if (image.removed) {
+    imageItem.classList.add('image-item-removed');
   }
   
-  const filterType = document.getElementById('type-filter').value;
-  const filteredImages = window.imagesData.filter(image => {
-    if (filterType === 'all') return true;
-    if (filterType === 'jpg') return image.type === 'jpg' || image.type === 'jpeg';
-    return image.type === filterType;
+  // Selection checkbox (shift-click selects a range)
+  const selectBox = document.createElement('input');
+  selectBox.type = 'checkbox';
+  selectBox.className = 'image-select';
+  selectBox.title = 'Select (shift-click to select a range)';
+  selectBox.checked = isImageSelected(image.src);
+  imageItem.classList.toggle('image-item-selected', selectBox.checked);
+  selectBox.addEventListener('click', (e) => {
+    e.stopPropagation();
+    handleSelectClick(image.src, selectBox.checked, e.shiftKey);
   });
+  imageItem.appendChild(selectBox);
   
-  if (filteredImages.length === 0) {
-    alert('No images matching the filter criteria');
-    return;
+  // Create image preview
+  const imgPreview = document.createElement('img');
+  imgPreview.className = 'image-preview';
+  if (isInlineSvgReference(image)) {
+    loadInlineSvgPreview(image, imgPreview);
+  } else {
+    imgPreview.src = getFetchSrc(image);
   }
+  imgPreview.alt = image.alt || `Image ${index + 1}`;
+  imgPreview.title = image.alt || `Image ${index + 1}`;
+  imgPreview.addEventListener('click', () => openImageDetail(image));
   
-  if (!confirm(`Are you sure you want to download ${filteredImages.length} images as a zip file?`)) {
-    return;
-  }
+  // Add image load error handling
+  let errorCount = 0;
+  const maxErrors = 2; // Maximum error count to prevent infinite loop
   
-  try {
-    // Create JSZip instance
-    const zip = new JSZip();
-    let successCount = 0;
-    let errorCount = 0;
+  imgPreview.onerror = function() {
+    errorCount++;
     
-    // Download images one by one and add to zip file
-    for (let i = 0; i < filteredImages.length; i++) {
-      const image = filteredImages[i];
-      try {
-        // Download image
-        const response = await fetch(image.src);
-        if (!response.ok) {
-          throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        
-        // Get image data
-        const blob = await response.blob();
-        
-        // Generate filename
-        const filename = `image_${i + 1}.${image.type}`;
-        
-        // Add to zip file
-        zip.file(filename, blob);
-        successCount++;
-      } catch (error) {
-        console.error(`Failed to add image to zip (${i + 1}/${filteredImages.length}):`, error);
-        errorCount++;
+    if (errorCount > maxErrors) {
+      console.warn('Image preview failed multiple times, showing placeholder:', image.src);
+      // Show default placeholder
+      imgPreview.src = 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" width="100" height="100" viewBox="0 0 100 100"%3E%3Crect width="100" height="100" fill="%23f0f0f0"/%3E%3Ctext x="50" y="50" font-family="Arial" font-size="12" fill="%23999" text-anchor="middle" dominant-baseline="middle"%3ECannot preview%3C/text%3E%3C/svg%3E';
+      return;
+    }
+    
+    console.warn('Image preview failed, trying to use cached data:', image.src);
+    
+    // Try to get cached image data through background script
+    try {
+      // Get current tab ID
+      let targetTabId;
+      const urlParams = new URLSearchParams(window.location.search);
+      const tabIdParam = urlParams.get('tabId');
+      
+      if (tabIdParam) {
+        targetTabId = parseInt(tabIdParam);
+      } else {
+        // If no tabId parameter, try to get current active tab
+        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+          if (tabs[0]) {
+            targetTabId = tabs[0].id;
+            sendCachedImageRequest(targetTabId);
+          } else {
+            // Show default placeholder
+            imgPreview.src = 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" width="100" height="100" viewBox="0 0 100 100"%3E%3Crect width="100" height="100" fill="%23f0f0f0"/%3E%3Ctext x="50" y="50" font-family="Arial" font-size="12" fill="%23999" text-anchor="middle" dominant-baseline="middle"%3ECannot preview%3C/text%3E%3C/svg%3E';
+          }
+        });
+        return;
       }
       
-      // Avoid too frequent requests, add short delay
-      if (i < filteredImages.length - 1) {
-        await new Promise(resolve => setTimeout(resolve, 100));
+      function sendCachedImageRequest(tabId) {
+        chrome.runtime.sendMessage({ 
+          action: 'getCachedImage', 
+          tabId: tabId,
+          url: getFetchSrc(image),
+          frameId: image.frameId
+        }, (response) => {
+          if (response && response.success && response.dataUrl && response.dataUrl !== getFetchSrc(image)) {
+            // Use cached data URL, ensure it's different from original URL
+            imgPreview.src = response.dataUrl;
+          } else {
+            // Show default placeholder
+            imgPreview.src = 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" width="100" height="100" viewBox="0 0 100 100"%3E%3Crect width="100" height="100" fill="%23f0f0f0"/%3E%3Ctext x="50" y="50" font-family="Arial" font-size="12" fill="%23999" text-anchor="middle" dominant-baseline="middle"%3ECannot preview%3C/text%3E%3C/svg%3E';
+          }
+        });
       }
+      
+      sendCachedImageRequest(targetTabId);
+    } catch (error) {
+      console.error('Failed to get cached image:', error);
+      // Show default placeholder
+      imgPreview.src = 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" width="100" height="100" viewBox="0 0 100 100"%3E%3Crect width="100" height="100" fill="%23f0f0f0"/%3E%3Ctext x="50" y="50" font-family="Arial" font-size="12" fill="%23999" text-anchor="middle" dominant-baseline="middle"%3ECannot preview%3C/text%3E%3C/svg%3E';
     }
-    
-    // Generate zip file
-    const zipBlob = await zip.generateAsync({ type: 'blob' });
-    
-    // Create download link
-    const url = URL.createObjectURL(zipBlob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `images-collection-${Date.now()}.zip`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
+  };
+  
+  // Create image information
+  const imgInfo = document.createElement('div');
+  imgInfo.className = 'image-info';
+  const sizeInfo = image.width > 0 && image.height > 0 ? `${image.width}x${image.height}` : 'Unknown size';
+  const typeDisplay = image.type && image.type !== 'unknown' ? image.type.toUpperCase() : 'Image';
+  imgInfo.innerHTML = `${typeDisplay}<br>${sizeInfo}`;
+  
+  // Show metadata parsed from the file header
+  const headerInfo = describeHeaderMetadata(image);
+  if (headerInfo) {
+    const metaInfo = document.createElement('div');
+    metaInfo.className = 'image-meta';
+    metaInfo.textContent = headerInfo;
+    imgInfo.appendChild(metaInfo);
+  }
+  
+  // Show file size and how the image was transferred
+  const transferInfo = describeTransferInfo(image);
+  if (transferInfo) {
+    const transferLine = document.createElement('div');
+    transferLine.className = 'image-transfer';
+    transferLine.textContent = transferInfo;
+    transferLine.title = [
+      image.contentType,
+      image.decodedSize && image.decodedSize !== image.byteSize ? `Decoded: ${formatBytes(image.decodedSize)}` : '',
+      image.sizeSource ? `Source: ${image.sizeSource}` : ''
+    ].filter(Boolean).join('\n');
+    imgInfo.appendChild(transferLine);
+  }
+  
+  // Show the symbol id for sprite icons
+  if (image.name) {
+    const nameInfo = document.createElement('div');
+    nameInfo.className = 'image-name';
+    nameInfo.textContent = image.name;
+    imgInfo.insertBefore(nameInfo, imgInfo.firstChild);
+  }
+  
+  // Show the CSS rule that references the image
+  if (image.selector || image.cssProperty) {
+    const ruleInfo = document.createElement('div');
+    ruleInfo.className = 'image-css-rule';
+    ruleInfo.textContent = `${image.selector || '(rule)'} { ${image.cssProperty} }`;
+    ruleInfo.title = [image.condition, image.stylesheetUrl].filter(Boolean).join('\n');
+    imgInfo.appendChild(ruleInfo);
+  }
+  
+  // Show where the image came from (iframe / shadow DOM)
+  const origin = describeImageOrigin(image);
+  if (origin) {
+    const originInfo = document.createElement('div');
+    originInfo.className = 'image-origin';
+    originInfo.textContent = origin;
+    originInfo.title = image.frameUrl || '';
+    imgInfo.appendChild(originInfo);
+  }
+  
+  // Show the URL as found on the page when normalization rules changed it
+  if (image.originalSrc) {
+    const normalizedInfo = document.createElement('div');
+    normalizedInfo.className = 'image-normalized';
+    normalizedInfo.textContent = 'URL normalized';
+    normalizedInfo.title = `Original: ${image.originalSrc}`;
+    imgInfo.appendChild(normalizedInfo);
+  }
+  
+  // Show which duplicate group the image belongs to
+  if (image.duplicateGroup) {
+    const duplicateInfo = document.createElement('div');
+    duplicateInfo.className = 'image-duplicate';
+    duplicateInfo.textContent = `${image.duplicateKind === 'exact' ? 'Exact duplicate' : 'Similar'} · group ${image.duplicateGroup}`;
+    imgInfo.appendChild(duplicateInfo);
+  }
+  
+  // Show srcset candidates grouped under this image
+  if (image.candidates && image.candidates.length > 1) {
+    const best = getLargestCandidate(image.candidates);
+    const candidatesInfo = document.createElement('div');
+    candidatesInfo.className = 'image-candidates';
+    candidatesInfo.textContent = `${image.candidates.length} sources, best ${best.descriptor}`;
+    candidatesInfo.title = image.candidates
+      .map(candidate => `${candidate.descriptor}${candidate.current ? ' (rendered)' : ''} ${candidate.src}`)
+      .join('\n');
+    imgInfo.appendChild(candidatesInfo);
+  }
+  
+  // Create download button
+  const downloadBtn = document.createElement('button');
+  downloadBtn.className = 'download-btn';
+  downloadBtn.textContent = 'Download';
+  downloadBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    downloadImage(image);
+  });
+  
+  // Create image actions container
+  const imgActions = document.createElement('div');
+  imgActions.className = 'image-actions';
+  imgActions.appendChild(downloadBtn);
+  
+  // SVGs can also be downloaded rasterized
+  if (image.type === 'svg') {
+    const pngBtn = document.createElement('button');
+    pngBtn.className = 'download-btn';
+    pngBtn.textContent = 'PNG';
+    pngBtn.title = 'Download as PNG (2x)';
+    pngBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      downloadSvgAsPng(image, 2);
+    });
+    imgActions.appendChild(pngBtn);
+  }
+  
+  // Assemble image item
+  imageItem.appendChild(imgPreview);
+  imageItem.appendChild(imgInfo);
+  imageItem.appendChild(imgActions);
+  
+  // Point to the image's element on the page; hovering the card previews the outline
+  if (image.elementId && !image.removed) {
+    const locateActions = document.createElement('div');
+    locateActions.className = 'image-locate-actions';
+    const scrollBtn = document.createElement('button');
+    scrollBtn.textContent = '⌖';
+    scrollBtn.title = 'Scroll to the image on the page';
+    scrollBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      locateImage(image, 'scroll');
+    });
+    const highlightBtn = document.createElement('button');
+    highlightBtn.textContent = '◎';
+    highlightBtn.title = 'Highlight the image on the page';
+    highlightBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      locateImage(image, 'highlight');
+    });
+    locateActions.appendChild(scrollBtn);
+    locateActions.appendChild(highlightBtn);
+    imageItem.appendChild(locateActions);
+    
+    imageItem.addEventListener('mouseenter', () => highlightImageElement(image, 'preview'));
+    imageItem.addEventListener('mouseleave', clearPageHighlight);
+  }
+  
+  return imageItem;
+}
+
+/**
+ * Scroll to or highlight an image's element on the page, reporting when it's gone
+ * @param {Object} image Image information
+ * @param {string} mode 'scroll' or 'highlight'
+ */
+async function locateImage(image, mode) {
+  const response = await highlightImageElement(image, mode);
+  if (!response || !response.success) {
+    alert('Could not reach the page: ' + (response ? response.error : 'no response'));
+  } else if (!response.found) {
+    alert('This image\'s element is no longer on the page');
+  }
+}
+
+/**
+ * Outline an image's element on the page
+ * @param {Object} image Image information
+ * @param {string} mode 'scroll', 'highlight' or 'preview' (shown until clearPageHighlight)
+ * @return {Promise<Object|null>} Response with found and visible, or null when the page can't be reached
+ */
+async function highlightImageElement(image, mode) {
+  // Only one frame shows the outline at a time
+  const frameId = image.frameId || 0;
+  if (window.highlightedFrameId !== undefined && window.highlightedFrameId !== frameId) {
+    clearPageHighlight();
+  }
+  window.highlightedFrameId = frameId;
+  return chrome.runtime.sendMessage({
+    action: 'locateImage',
+    mode: mode,
+    tabId: window.targetTabId,
+    frameId: frameId,
+    elementId: image.elementId,
+    src: image.src,
+    selector: image.elementSelector
+  }).catch(() => null);
+}
+
+/**
+ * Remove the outline from the page
+ */
+function clearPageHighlight() {
+  if (window.highlightedFrameId === undefined) {
+    return;
+  }
+  chrome.runtime.sendMessage({
+    action: 'locateImage',
+    mode: 'clear',
+    tabId: window.targetTabId,
+    frameId: window.highlightedFrameId
+  }).catch(() => {});
+  window.highlightedFrameId = undefined;
+}
+
+/**
+ * Check whether an image is selected
+ * @param {string} src Image URL
+ * @return {boolean} Whether the image is selected
+ */
+function isImageSelected(src) {
+  return Boolean(window.selectedImages && window.selectedImages.has(src));
+}
+
+/**
+ * Handle a click on a card's checkbox
+ * @param {string} src Image URL
+ * @param {boolean} checked New checkbox state
+ * @param {boolean} shiftKey Whether shift was held (select the range from the last click)
+ */
+function handleSelectClick(src, checked, shiftKey) {
+  const selected = new Set(window.selectedImages || []);
+  let sources = [src];
+  
+  if (shiftKey && window.lastSelectedSrc) {
+    const visibleSources = getVisibleItems().map(item => item.dataset.src);
+    const start = visibleSources.indexOf(window.lastSelectedSrc);
+    const end = visibleSources.indexOf(src);
+    if (start !== -1 && end !== -1) {
+      sources = visibleSources.slice(Math.min(start, end), Math.max(start, end) + 1);
+    }
+  }
+  
+  sources.forEach(source => checked ? selected.add(source) : selected.delete(source));
+  window.lastSelectedSrc = src;
+  setSelection(selected);
+}
+
+/**
+ * Get the image cards currently shown (not hidden by filters)
+ * @return {Array<HTMLElement>} Visible image items in display order
+ */
+function getVisibleItems() {
+  // offsetParent is null for hidden cards and cards in hidden sections
+  return Array.from(document.querySelectorAll('.image-item'))
+    .filter(item => item.offsetParent !== null);
+}
+
+/**
+ * Select every image that passes the current filters
+ */
+function selectVisibleImages() {
+  const selected = new Set(window.selectedImages || []);
+  getVisibleItems().forEach(item => selected.add(item.dataset.src));
+  setSelection(selected);
+}
+
+/**
+ * Invert the selection among the visible images
+ */
+function invertSelection() {
+  const selected = new Set(window.selectedImages || []);
+  getVisibleItems().forEach((item) => {
+    if (selected.has(item.dataset.src)) {
+      selected.delete(item.dataset.src);
+    } else {
+      selected.add(item.dataset.src);
+    }
+  });
+  setSelection(selected);
+}
+
+/**
+ * Replace the selection and update the cards' checkboxes
+ * @param {Iterable<string>} sources Selected image URLs
+ */
+function setSelection(sources) {
+  window.selectedImages = new Set(sources);
+  document.querySelectorAll('.image-item').forEach((item) => {
+    const selected = window.selectedImages.has(item.dataset.src);
+    item.classList.toggle('image-item-selected', selected);
+    const selectBox = item.querySelector('.image-select');
+    if (selectBox) {
+      selectBox.checked = selected;
+    }
+  });
+  updateSelectionInfo();
+}
+
+/**
+ * Update the selection count and enable or disable the bulk actions
+ */
+function updateSelectionInfo() {
+  const count = window.selectedImages ? window.selectedImages.size : 0;
+  document.getElementById('selection-count').textContent = `${count} selected`;
+  document.querySelectorAll('.selection-actions button').forEach((button) => {
+    button.disabled = count === 0;
+  });
+}
+
+/**
+ * Get the selected images in display order
+ * @return {Array} Selected image information
+ */
+function getSelectedImages() {
+  const images = [...orderImages(window.imagesData || []), ...(window.cssImagesData || [])];
+  const seen = new Set();
+  return images.filter((image) => {
+    if (!isImageSelected(image.src) || seen.has(image.src)) {
+      return false;
+    }
+    seen.add(image.src);
+    return true;
+  });
+}
+
+/**
+ * Download each selected image as a separate file
+ */
+async function downloadSelectedImages() {
+  const images = getSelectedImages();
+  if (window.downloadQueue) {
+    alert('Another download is still running');
+    return;
+  }
+  
+  const settings = await chrome.runtime.sendMessage({ action: 'getSettings' });
+  await runDownloadQueue(images, (image, index, signal) => downloadImageFile(image, settings, null, false, signal));
+}
+
+/**
+ * Copy the selected images' URLs to the clipboard, one per line
+ */
+async function copySelectedUrls() {
+  const urls = getSelectedImages().map(image => getDownloadSrc(image));
+  try {
+    await navigator.clipboard.writeText(urls.join('\n'));
+  } catch (error) {
+    console.error('Failed to copy URLs:', error);
+    alert('Copy failed: ' + error.message);
+  }
+}
+
+/**
+ * Save the selected images' metadata as a JSON file
+ */
+function exportSelectedMetadata() {
+  const metadata = {
+    exportedAt: new Date().toISOString(),
+    images: getSelectedImages()
+  };
+  const blob = new Blob([JSON.stringify(metadata, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `images-metadata-${Date.now()}.json`;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Download the selected images as one zip file
+ */
+async function zipSelectedImages() {
+  const images = getSelectedImages();
+  if (images.length === 0) {
+    return;
+  }
+  await downloadImagesAsZip(images, 'images-selected');
+}
+
+/**
+ * Describe file size, cache status and load time
+ * @param {Object} image Image information
+ * @return {string} Short description, empty when the size is unknown
+ */
+function describeTransferInfo(image) {
+  if (image.byteSize === undefined) {
+    return '';
+  }
+  const parts = [formatBytes(image.byteSize)];
+  const cacheLabels = {
+    'cache': 'cached',
+    'revalidated': 'revalidated',
+    'cdn-hit': 'CDN hit',
+    'cdn-miss': 'CDN miss'
+  };
+  if (cacheLabels[image.cacheStatus]) {
+    parts.push(cacheLabels[image.cacheStatus]);
+  }
+  if (image.loadTime > 0 && image.sizeSource === 'resource-timing') {
+    parts.push(`${image.loadTime} ms`);
+  }
+  return parts.join(' · ');
+}
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes Byte count
+ * @return {string} Human-readable size
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+}
+
+/**
+ * Describe header metadata (frames, bit depth, color type, orientation)
+ * @param {Object} image Image information
+ * @return {string} Short description, empty when nothing notable is known
+ */
+function describeHeaderMetadata(image) {
+  const parts = [];
+  if (image.frameCount > 1) {
+    parts.push(`${image.frameCount}${image.frameCountPartial ? '+' : ''} frames`);
+  }
+  if (image.bitDepth && image.bitDepth !== 8) {
+    parts.push(`${image.bitDepth}-bit`);
+  }
+  if (image.colorType && ['cmyk', 'grayscale', 'grayscale-alpha', 'indexed'].includes(image.colorType)) {
+    parts.push(image.colorType);
+  }
+  if (image.orientation && image.orientation !== 1) {
+    parts.push(`EXIF orientation ${image.orientation}`);
+  }
+  return parts.join(', ');
+}
+
+/**
+ * Describe the frame and shadow host an image was found in
+ * @param {Object} image Image information
+ * @return {string} Origin description, empty for images in the main document
+ */
+function describeImageOrigin(image) {
+  const parts = [];
+  if (image.frameId && image.frameUrl) {
+    let frameHost = image.frameUrl;
+    try {
+      frameHost = new URL(image.frameUrl).host || image.frameUrl;
+    } catch (error) {
+      // Keep the raw frame URL (e.g. about:blank)
+    }
+    parts.push(`iframe: ${frameHost}`);
+  }
+  if (image.shadowHost) {
+    parts.push(`shadow: ${image.shadowHost}`);
+  }
+  return parts.join(' / ');
+}
+
+/**
+ * Pick the highest-resolution srcset candidate
+ * @param {Array} candidates Candidates with width/density descriptors
+ * @return {Object} Largest candidate
+ */
+function getLargestCandidate(candidates) {
+  return candidates.reduce((largest, candidate) => {
+    const largestWidth = largest.width || 0;
+    const candidateWidth = candidate.width || 0;
+    if (candidateWidth !== largestWidth) {
+      return candidateWidth > largestWidth ? candidate : largest;
+    }
+    return (candidate.density || 0) > (largest.density || 0) ? candidate : largest;
+  });
+}
+
+/**
+ * Get the URL to download for an image, preferring its highest-resolution candidate
+ * @param {Object} image Image information
+ * @return {string} Image URL
+ */
+function getDownloadSrc(image) {
+  if (image.candidates && image.candidates.length > 0) {
+    return getLargestCandidate(image.candidates).src;
+  }
+  return getFetchSrc(image);
+}
+
+/**
+ * Get the URL the page loaded an image from. image.src may be rewritten by the URL
+ * normalization rules, which only makes it a dedup key, not a URL the server knows
+ * @param {Object} image Image information
+ * @return {string} Image URL
+ */
+function getFetchSrc(image) {
+  return image.originalSrc || image.src;
+}
+
+/**
+ * Filter images
+ */
+function filterImages() {
+  updateFilterOptions();
+  
+  const criteria = getFilterCriteria();
+  const images = [...(window.imagesData || []), ...(window.cssImagesData || [])];
+  const imagesBySrc = new Map(images.map(image => [image.src, image]));
+  const imageItems = document.querySelectorAll('.image-item');
+  
+  imageItems.forEach(item => {
+    const image = imagesBySrc.get(item.dataset.src);
+    if (!image || imageMatchesFilters(image, criteria)) {
+      item.style.display = 'block';
+    } else {
+      item.style.display = 'none';
+    }
+  });
+}
+
+/**
+ * Get the listed images that pass the current filters, in display order
+ * @return {Array} Filtered images
+ */
+function getFilteredImages() {
+  const criteria = getFilterCriteria();
+  return orderImages(window.imagesData || []).filter(image => imageMatchesFilters(image, criteria));
+}
+
+/**
+ * Read the current filter settings
+ * @return {Object} Filter criteria, with null for empty range bounds
+ */
+function getFilterCriteria() {
+  const readNumber = (id) => {
+    const value = document.getElementById(id).value;
+    return value === '' ? null : Number(value);
+  };
+  const toBytes = kilobytes => kilobytes === null ? null : kilobytes * 1024;
+  
+  return {
+    type: document.getElementById('type-filter').value,
+    elementType: document.getElementById('element-filter').value,
+    search: document.getElementById('search-filter').value.trim().toLowerCase(),
+    width: [readNumber('min-width'), readNumber('max-width')],
+    height: [readNumber('min-height'), readNumber('max-height')],
+    bytes: [toBytes(readNumber('min-size')), toBytes(readNumber('max-size'))]
+  };
+}
+
+/**
+ * Check an image against the filter criteria
+ * @param {Object} image Image information
+ * @param {Object} criteria Filter criteria from getFilterCriteria
+ * @return {boolean} Whether the image should be shown
+ */
+function imageMatchesFilters(image, criteria) {
+  if (criteria.type !== 'all' && getImageTypeKey(image.type) !== criteria.type) {
+    return false;
+  }
+  if (criteria.elementType !== 'all' && (image.elementType || 'unknown') !== criteria.elementType) {
+    return false;
+  }
+  if (criteria.search) {
+    const text = [image.src, image.originalSrc, image.alt, image.name].filter(Boolean).join('\n').toLowerCase();
+    if (!text.includes(criteria.search)) {
+      return false;
+    }
+  }
+  return isWithinRange(image.width, criteria.width) &&
+    isWithinRange(image.height, criteria.height) &&
+    isWithinRange(image.byteSize, criteria.bytes);
+}
+
+/**
+ * Check a value against a [min, max] range; unknown values fail any bound
+ * @param {number} value Value to check
+ * @param {Array} range Min and max, null when unset
+ * @return {boolean} Whether the value is in range
+ */
+function isWithinRange(value, [min, max]) {
+  if (min === null && max === null) {
+    return true;
+  }
+  if (!(value > 0)) {
+    return false;
+  }
+  return (min === null || value >= min) && (max === null || value <= max);
+}
+
+/**
+ * Get the type used for filtering and sorting (jpeg and jpg are the same)
+ * @param {string} type Image type
+ * @return {string} Type key
+ */
+function getImageTypeKey(type) {
+  if (!type) {
+    return 'unknown';
+  }
+  return type === 'jpeg' ? 'jpg' : type;
+}
+
+/**
+ * Rebuild the type and source dropdowns from the listed images
+ */
+function updateFilterOptions() {
+  const images = [...(window.imagesData || []), ...(window.cssImagesData || [])];
+  fillFilterOptions('type-filter', images.map(image => getImageTypeKey(image.type)), (type) => {
+    if (type === 'jpg') return 'JPG/JPEG';
+    if (type === 'unknown') return 'Unknown';
+    return type.toUpperCase();
+  });
+  fillFilterOptions('element-filter', images.map(image => image.elementType || 'unknown'), elementType => elementType);
+}
+
+/**
+ * Replace a filter dropdown's options, keeping "All" and the current selection
+ * @param {string} selectId Select element ID
+ * @param {Array<string>} values Option values, may contain duplicates
+ * @param {Function} getLabel Maps a value to its option label
+ */
+function fillFilterOptions(selectId, values, getLabel) {
+  const select = document.getElementById(selectId);
+  const options = Array.from(new Set(values)).sort();
+  const currentOptions = Array.from(select.options).slice(1).map(option => option.value);
+  if (options.join('\n') === currentOptions.join('\n')) {
+    return;
+  }
+  
+  const selected = select.value;
+  select.length = 1;
+  options.forEach(value => select.add(new Option(getLabel(value), value)));
+  select.value = options.includes(selected) ? selected : 'all';
+}
+
+/**
+ * Download single image, named by the filename template
+ * @param {Object} image Image information
+ */
+async function downloadImage(image) {
+  try {
+    const settings = await chrome.runtime.sendMessage({ action: 'getSettings' });
+    const result = await downloadImageFile(image, settings);
+    if (result.removedMetadata.length > 0 && !window.downloadQueue) {
+      showDownloadSummary(`Downloaded without metadata (removed ${result.removedMetadata.join(', ')})`);
+    }
+  } catch (error) {
+    console.error('Failed to download image:', error);
+    alert('Download failed: ' + error.message);
+  }
+}
+
+/**
+ * Download one image through the background, converting it or stripping its metadata first
+ * when the settings ask for it
+ * @param {Object} image Image information
+ * @param {Object} settings Settings with convertFormat, convertQuality, svgRasterScale and stripMetadata
+ * @param {Object} [transform] Resize, crop, rotate and flip edits from the detail view
+ * @param {boolean} [saveAs=true] Whether to show the Save As dialog; batch downloads pass false
+ * @param {AbortSignal} [signal] Aborts fetching the image; checked again before the download starts
+ * @return {Promise<Object>} Result with the kinds of metadata removed (removedMetadata)
+ */
+async function downloadImageFile(image, settings, transform, saveAs = true, signal) {
+  const conversion = getConversion(image, settings, transform);
+  let url = getDownloadSrc(image);
+  let filenameInfo = getFilenameInfo(image);
+  let blob = null;
+  
+  if (conversion) {
+    try {
+      const converted = await convertImageBlob(await fetchImageBlob(image, signal), conversion, image.width, image.height);
+      blob = converted.blob;
+      filenameInfo = {
+        ...filenameInfo,
+        type: conversion.type,
+        width: converted.width,
+        height: converted.height
+      };
+    } catch (error) {
+      if (signal && signal.aborted) {
+        throw error;
+      }
+      // Saving the original would silently drop the requested edits
+      if (conversion.transform) {
+        throw new Error(`Could not apply the edits: ${error.message}`);
+      }
+      // Keep formats the browser can't decode (e.g. TIFF) as they are
+      console.warn('Conversion failed, keeping original format:', image.src, error);
+    }
+  }
+  
+  let removedMetadata = [];
+  if (settings.stripMetadata) {
+    // No fallback to the direct URL here: that would save the metadata
+    const original = blob || await fetchImageBlob(image, signal);
+    if (reencodedBlobs.has(original)) {
+      filenameInfo = { ...filenameInfo, type: 'png' };
+    }
+    const stripped = await stripImageMetadata(original);
+    blob = stripped.blob;
+    removedMetadata = stripped.removed;
+  }
+  if (!blob && isInlineSvgReference(image)) {
+    blob = await fetchImageBlob(image, signal);
+  }
+  if (blob) {
+    url = await blobToDataUrl(blob);
+  }
+  
+  // A paused or cancelled download must not reach chrome.downloads
+  if (signal && signal.aborted) {
+    throw new DOMException('Download aborted', 'AbortError');
+  }
+  const response = await chrome.runtime.sendMessage({
+    action: 'downloadImage',
+    url: url,
+    image: filenameInfo,
+    tabId: window.targetTabId,
+    frameId: image.frameId,
+    saveAs: saveAs
+  });
+  if (!response || !response.success) {
+    throw new Error(response ? response.error : 'No response');
+  }
+  return { removedMetadata };
+}
+
+// Output formats for download conversion
+const CONVERT_FORMATS = {
+  png: { mimeType: 'image/png', type: 'png' },
+  jpeg: { mimeType: 'image/jpeg', type: 'jpg' },
+  webp: { mimeType: 'image/webp', type: 'webp' }
+};
+
+/**
+ * Get the conversion the settings and edits ask for
+ * @param {Object} image Image information
+ * @param {Object} settings Settings with convertFormat, convertQuality and svgRasterScale
+ * @param {Object} [transform] Resize, crop, rotate and flip edits
+ * @return {Object|null} Conversion (mimeType, type, quality, scale, transform), or null to keep the original bytes
+ */
+function getConversion(image, settings, transform) {
+  const edits = isTransformActive(transform) ? transform : null;
+  let format = CONVERT_FORMATS[settings.convertFormat];
+  if (!edits && (!format || getImageTypeKey(image.type) === format.type)) {
+    return null;
+  }
+  if (!format) {
+    // Edited images keep their format when a canvas can encode it, otherwise become PNG
+    format = Object.values(CONVERT_FORMATS).find(candidate => candidate.type === getImageTypeKey(image.type)) ||
+      CONVERT_FORMATS.png;
+  }
+  return {
+    ...format,
+    quality: (settings.convertQuality || 90) / 100,
+    // Only SVGs are scaled; raster images keep their pixel size
+    scale: image.type === 'svg' ? settings.svgRasterScale || 1 : 1,
+    transform: edits
+  };
+}
+
+/**
+ * Check whether a transform changes the image at all
+ * @param {Object} [transform] Resize, crop, rotate and flip edits
+ * @return {boolean} Whether any edit is set
+ */
+function isTransformActive(transform) {
+  if (!transform) {
+    return false;
+  }
+  return (transform.resizeMode && transform.resizeMode !== 'none') ||
+    (transform.cropAspect && transform.cropAspect !== 'none') ||
+    (transform.rotate || 0) % 360 !== 0 ||
+    Boolean(transform.flipH || transform.flipV);
+}
+
+/**
+ * Re-encode image data in another format with an OffscreenCanvas
+ * @param {Blob} blob Image data
+ * @param {Object} conversion Conversion from getConversion
+ * @param {number} [fallbackWidth] Width to use when the image has no intrinsic size
+ * @param {number} [fallbackHeight] Height to use when the image has no intrinsic size
+ * @return {Promise<Object>} Converted image data (blob) and its pixel size (width, height)
+ */
+async function convertImageBlob(blob, conversion, fallbackWidth, fallbackHeight) {
+  const source = await decodeImageBlob(blob);
+  try {
+    const canvas = renderImageCanvas(source, conversion, fallbackWidth, fallbackHeight);
+    return {
+      blob: await canvas.convertToBlob({ type: conversion.mimeType, quality: conversion.quality }),
+      width: canvas.width,
+      height: canvas.height
+    };
+  } finally {
+    if (source.close) {
+      source.close();
+    }
+  }
+}
+
+/**
+ * Work out the crop, quarter turns and output size for a conversion without drawing anything
+ * @param {ImageBitmap|HTMLImageElement} source Decoded image
+ * @param {Object} conversion Conversion from getConversion
+ * @param {number} [fallbackWidth] Width to use when the image has no intrinsic size
+ * @param {number} [fallbackHeight] Height to use when the image has no intrinsic size
+ * @return {Object} Crop rectangle (crop), quarter turns (turns) and output size (size)
+ */
+function getRenderLayout(source, conversion, fallbackWidth, fallbackHeight) {
+  const transform = conversion.transform || {};
+  const sourceWidth = source.naturalWidth || source.width || fallbackWidth || 100;
+  const sourceHeight = source.naturalHeight || source.height || fallbackHeight || 100;
+  const crop = getCenteredCrop(sourceWidth, sourceHeight, transform.cropAspect);
+  
+  // Quarter turns swap the output's width and height
+  const turns = (Math.round((transform.rotate || 0) / 90) % 4 + 4) % 4;
+  const scaledWidth = crop.width * conversion.scale;
+  const scaledHeight = crop.height * conversion.scale;
+  const size = getResizedSize(
+    turns % 2 ? scaledHeight : scaledWidth,
+    turns % 2 ? scaledWidth : scaledHeight,
+    transform
+  );
+  return { crop, turns, size };
+}
+
+/**
+ * Draw a decoded image on an OffscreenCanvas with the conversion's scale and edits applied
+ * @param {ImageBitmap|HTMLImageElement} source Decoded image
+ * @param {Object} conversion Conversion from getConversion
+ * @param {number} [fallbackWidth] Width to use when the image has no intrinsic size
+ * @param {number} [fallbackHeight] Height to use when the image has no intrinsic size
+ * @param {number} [displayScale=1] Factor applied to the output size, for previews smaller than the output
+ * @return {OffscreenCanvas} Canvas holding the output image
+ */
+function renderImageCanvas(source, conversion, fallbackWidth, fallbackHeight, displayScale = 1) {
+  const transform = conversion.transform || {};
+  const { crop, turns, size: outputSize } = getRenderLayout(source, conversion, fallbackWidth, fallbackHeight);
+  const size = {
+    width: Math.max(1, Math.round(outputSize.width * displayScale)),
+    height: Math.max(1, Math.round(outputSize.height * displayScale))
+  };
+  
+  const canvas = new OffscreenCanvas(size.width, size.height);
+  const ctx = canvas.getContext('2d');
+  // JPEG has no alpha channel, so transparent areas become white instead of black
+  if (conversion.mimeType === 'image/jpeg') {
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, size.width, size.height);
+  }
+  
+  // Draw around the centre so flips and rotation keep the image on the canvas
+  const drawWidth = turns % 2 ? size.height : size.width;
+  const drawHeight = turns % 2 ? size.width : size.height;
+  ctx.translate(size.width / 2, size.height / 2);
+  ctx.scale(transform.flipH ? -1 : 1, transform.flipV ? -1 : 1);
+  ctx.rotate(turns * Math.PI / 2);
+  if (crop.full) {
+    // SVGs without an intrinsic size can't be drawn from a source rectangle
+    ctx.drawImage(source, -drawWidth / 2, -drawHeight / 2, drawWidth, drawHeight);
+  } else {
+    ctx.drawImage(source, crop.x, crop.y, crop.width, crop.height,
+      -drawWidth / 2, -drawHeight / 2, drawWidth, drawHeight);
+  }
+  return canvas;
+}
+
+/**
+ * Get the largest centred rectangle with an aspect ratio
+ * @param {number} width Image width
+ * @param {number} height Image height
+ * @param {string} [aspect] Aspect ratio such as "16:9", or "none" to keep the whole image
+ * @return {Object} Crop rectangle (x, y, width, height, full)
+ */
+function getCenteredCrop(width, height, aspect) {
+  const [aspectWidth, aspectHeight] = (aspect || '').split(':').map(Number);
+  if (!(aspectWidth > 0) || !(aspectHeight > 0)) {
+    return { x: 0, y: 0, width, height, full: true };
+  }
+  const ratio = aspectWidth / aspectHeight;
+  const cropWidth = Math.min(width, height * ratio);
+  const cropHeight = Math.min(height, width / ratio);
+  return {
+    x: (width - cropWidth) / 2,
+    y: (height - cropHeight) / 2,
+    width: cropWidth,
+    height: cropHeight,
+    full: false
+  };
+}
+
+/**
+ * Get the output size for a resize mode
+ * @param {number} width Width before resizing
+ * @param {number} height Height before resizing
+ * @param {Object} transform Edits with resizeMode (none, max, exact, percent), resizeValue, resizeWidth and resizeHeight
+ * @return {Object} Output size (width, height) in whole pixels
+ */
+function getResizedSize(width, height, transform) {
+  let outWidth = width;
+  let outHeight = height;
+  
+  switch (transform.resizeMode) {
+    case 'max': {
+      // Only shrink: images already within the limit keep their size
+      const longest = Math.max(width, height);
+      if (transform.resizeValue > 0 && longest > transform.resizeValue) {
+        outWidth = width * transform.resizeValue / longest;
+        outHeight = height * transform.resizeValue / longest;
+      }
+      break;
+    }
+    case 'percent':
+      if (transform.resizeValue > 0) {
+        outWidth = width * transform.resizeValue / 100;
+        outHeight = height * transform.resizeValue / 100;
+      }
+      break;
+    case 'exact':
+      // With one side given, the other follows the aspect ratio
+      if (transform.resizeWidth > 0 && transform.resizeHeight > 0) {
+        outWidth = transform.resizeWidth;
+        outHeight = transform.resizeHeight;
+      } else if (transform.resizeWidth > 0) {
+        outWidth = transform.resizeWidth;
+        outHeight = height * transform.resizeWidth / width;
+      } else if (transform.resizeHeight > 0) {
+        outWidth = width * transform.resizeHeight / height;
+        outHeight = transform.resizeHeight;
+      }
+      break;
+  }
+  
+  return {
+    width: Math.max(1, Math.round(outWidth)),
+    height: Math.max(1, Math.round(outHeight))
+  };
+}
+
+/**
+ * Decode image data so it can be drawn on a canvas
+ * @param {Blob} blob Image data
+ * @return {Promise<ImageBitmap|HTMLImageElement>} Decoded image
+ */
+async function decodeImageBlob(blob) {
+  // createImageBitmap can't decode SVG, which goes through an <img> instead
+  if (blob.type !== 'image/svg+xml') {
+    try {
+      return await createImageBitmap(blob);
+    } catch (error) {
+      // Fall back to <img> (e.g. an SVG served with a generic content type)
+    }
+  }
+  const url = URL.createObjectURL(blob);
+  try {
+    const img = new Image();
+    img.src = url;
+    await img.decode();
+    return img;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Read a blob as a data URL
+ * @param {Blob} blob Data
+ * @return {Promise<string>} Data URL
+ */
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Remove metadata from JPEG, PNG and WebP data without re-encoding the image
+ * Other formats are returned unchanged
+ * @param {Blob} blob Image data
+ * @return {Promise<Object>} Image data without metadata (blob) and the kinds removed (removed), e.g. ['EXIF', 'XMP']
+ */
+async function stripImageMetadata(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let layout = null;
+  if (bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF) {
+    layout = getJpegMetadataLayout(bytes);
+  } else if (bytesStartWith(bytes, 0, '\x89PNG\r\n\x1A\n')) {
+    layout = getPngMetadataLayout(bytes);
+  } else if (bytesStartWith(bytes, 0, 'RIFF') && bytesStartWith(bytes, 8, 'WEBP')) {
+    layout = getWebpMetadataLayout(bytes);
+  }
+  if (!layout || layout.removed.length === 0) {
+    return { blob, removed: [] };
+  }
+  
+  // Parts are byte ranges of the original or replacement bytes
+  const parts = layout.keep.map(part => (part instanceof Uint8Array ? part : bytes.subarray(part[0], part[1])));
+  const output = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    output.set(part, offset);
+    offset += part.length;
+  }
+  if (layout.patch) {
+    layout.patch(output);
+  }
+  return { blob: new Blob([output], { type: blob.type }), removed: [...new Set(layout.removed)] };
+}
+
+/**
+ * Find the JPEG segments to keep: everything except EXIF/XMP (APP1), ICC (APP2), IPTC (APP13) and comments.
+ * An EXIF orientation other than normal is kept in a minimal EXIF segment, so photos aren't shown rotated
+ * @param {Uint8Array} bytes JPEG data
+ * @return {Object} Byte ranges or replacement bytes to keep (keep) and the kinds of metadata dropped (removed)
+ */
+function getJpegMetadataLayout(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const keep = [[0, 2]];
+  const removed = [];
+  let offset = 2;
+  while (offset + 4 <= bytes.length && bytes[offset] === 0xFF) {
+    const marker = bytes[offset + 1];
+    // Fill bytes before a marker
+    if (marker === 0xFF) {
+      offset++;
+      continue;
+    }
+    // The compressed image data follows; copy the rest as is
+    if (marker === 0xDA || marker === 0xD9) {
+      break;
+    }
+    const end = Math.min(offset + 2 + view.getUint16(offset + 2), bytes.length);
+    const data = offset + 4;
+    let kind = null;
+    if (marker === 0xE1 && bytesStartWith(bytes, data, 'Exif\0')) {
+      kind = 'EXIF';
+    } else if (marker === 0xE1 && bytesStartWith(bytes, data, 'http://ns.adobe.com/x')) {
+      // Standard (xap/1.0/) and extended (xmp/extension/) XMP
+      kind = 'XMP';
+    } else if (marker === 0xE2 && bytesStartWith(bytes, data, 'ICC_PROFILE\0')) {
+      kind = 'ICC profile';
+    } else if (marker === 0xED && bytesStartWith(bytes, data, 'Photoshop 3.0\0')) {
+      kind = 'IPTC';
+    } else if (marker === 0xFE) {
+      kind = 'Comment';
+    }
+    const orientation = kind === 'EXIF' ? readExifOrientation(bytes, data + 6, end) : 1;
+    if (orientation > 1) {
+      removed.push('EXIF (orientation kept)');
+      keep.push(buildOrientationExifSegment(orientation));
+    } else if (kind) {
+      removed.push(kind);
+    } else {
+      keep.push([offset, end]);
+    }
+    offset = end;
+  }
+  keep.push([offset, bytes.length]);
+  return { keep, removed };
+}
+
+/**
+ * Read the Orientation tag from IFD0 of an EXIF TIFF structure
+ * @param {Uint8Array} bytes File data
+ * @param {number} start Start of the TIFF header
+ * @param {number} end End of the EXIF segment
+ * @return {number} Orientation (1-8), 1 when missing or unreadable
+ */
+function readExifOrientation(bytes, start, end) {
+  if (end - start < 8) {
+    return 1;
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset + start, end - start);
+  const littleEndian = view.getUint16(0) === 0x4949;
+  const ifdOffset = view.getUint32(4, littleEndian);
+  if (ifdOffset + 2 > view.byteLength) {
+    return 1;
+  }
+  const entryCount = view.getUint16(ifdOffset, littleEndian);
+  for (let i = 0; i < entryCount; i++) {
+    const entry = ifdOffset + 2 + i * 12;
+    if (entry + 12 > view.byteLength) {
+      break;
+    }
+    if (view.getUint16(entry, littleEndian) === 0x0112) {
+      const orientation = view.getUint16(entry + 8, littleEndian);
+      return orientation >= 1 && orientation <= 8 ? orientation : 1;
+    }
+  }
+  return 1;
+}
+
+/**
+ * Build an APP1 segment whose EXIF data holds nothing but the Orientation tag
+ * @param {number} orientation Orientation (2-8)
+ * @return {Uint8Array} Segment bytes, marker included
+ */
+function buildOrientationExifSegment(orientation) {
+  const segment = new Uint8Array(36);
+  const view = new DataView(segment.buffer);
+  view.setUint16(0, 0xFFE1);
+  view.setUint16(2, segment.length - 2);
+  segment.set([0x45, 0x78, 0x69, 0x66, 0, 0], 4); // "Exif\0\0"
+  // Big-endian TIFF header with IFD0 right after it
+  view.setUint16(10, 0x4D4D);
+  view.setUint16(12, 42);
+  view.setUint32(14, 8);
+  // One entry: Orientation, SHORT, count 1; no next IFD
+  view.setUint16(18, 1);
+  view.setUint16(20, 0x0112);
+  view.setUint16(22, 3);
+  view.setUint32(24, 1);
+  view.setUint16(28, orientation);
+  view.setUint32(32, 0);
+  return segment;
+}
+
+/**
+ * Find the PNG chunks to keep: everything except text, eXIf, iCCP and tIME chunks
+ * @param {Uint8Array} bytes PNG data
+ * @return {Object} Byte ranges to keep (keep) and the kinds of metadata dropped (removed)
+ */
+function getPngMetadataLayout(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunkKinds = { tEXt: 'Text', zTXt: 'Text', iTXt: 'Text', eXIf: 'EXIF', iCCP: 'ICC profile', tIME: 'Timestamp' };
+  const keep = [[0, 8]];
+  const removed = [];
+  let offset = 8;
+  while (offset + 12 <= bytes.length) {
+    const chunkType = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const end = Math.min(offset + 12 + view.getUint32(offset), bytes.length);
+    let kind = chunkKinds[chunkType];
+    // XMP is stored in an iTXt chunk with this keyword
+    if (chunkType === 'iTXt' && bytesStartWith(bytes, offset + 8, 'XML:com.adobe.xmp\0')) {
+      kind = 'XMP';
+    }
+    if (kind) {
+      removed.push(kind);
+    } else {
+      keep.push([offset, end]);
+    }
+    offset = end;
+    if (chunkType === 'IEND') {
+      break;
+    }
+  }
+  keep.push([offset, bytes.length]);
+  return { keep, removed };
+}
+
+/**
+ * Find the WebP chunks to keep: everything except EXIF, XMP and ICCP chunks
+ * The output's VP8X flags and RIFF size are updated to match
+ * @param {Uint8Array} bytes WebP data
+ * @return {Object} Byte ranges to keep (keep), the kinds of metadata dropped (removed) and a fix-up for the output (patch)
+ */
+function getWebpMetadataLayout(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunkKinds = { 'EXIF': 'EXIF', 'XMP ': 'XMP', 'ICCP': 'ICC profile' };
+  // VP8X flag bits announcing each chunk
+  const chunkFlags = { 'EXIF': 0x08, 'XMP ': 0x04, 'ICCP': 0x20 };
+  const keep = [[0, 12]];
+  const removed = [];
+  let clearedFlags = 0;
+  let offset = 12;
+  while (offset + 8 <= bytes.length) {
+    const chunkType = String.fromCharCode(...bytes.subarray(offset, offset + 4));
+    const size = view.getUint32(offset + 4, true);
+    // Chunks are padded to an even size
+    const end = Math.min(offset + 8 + size + (size % 2), bytes.length);
+    if (chunkKinds[chunkType]) {
+      removed.push(chunkKinds[chunkType]);
+      clearedFlags |= chunkFlags[chunkType];
+    } else {
+      keep.push([offset, end]);
+    }
+    offset = end;
+  }
+  keep.push([offset, bytes.length]);
+  
+  const patch = (output) => {
+    const outputView = new DataView(output.buffer, output.byteOffset, output.byteLength);
+    outputView.setUint32(4, output.length - 8, true);
+    if (bytesStartWith(output, 12, 'VP8X')) {
+      output[20] &= ~clearedFlags;
+    }
+  };
+  return { keep, removed, patch };
+}
+
+/**
+ * Check whether bytes at an offset match an ASCII string
+ * @param {Uint8Array} bytes Data
+ * @param {number} offset Start position
+ * @param {string} text Expected characters
+ * @return {boolean} Whether they match
+ */
+function bytesStartWith(bytes, offset, text) {
+  if (offset + text.length > bytes.length) {
+    return false;
+  }
+  for (let i = 0; i < text.length; i++) {
+    if (bytes[offset + i] !== text.charCodeAt(i)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Get the image fields the filename template uses
+ * @param {Object} image Image information
+ * @return {Object} Fields for the background's filename template
+ */
+function getFilenameInfo(image) {
+  return {
+    src: getDownloadSrc(image),
+    type: image.type,
+    width: image.width,
+    height: image.height,
+    alt: image.alt,
+    name: image.name,
+    elementType: image.elementType
+  };
+}
+
+/**
+ * Build filenames for a batch from the filename template
+ * @param {Array} images Image information array
+ * @param {boolean} [forZip] Whether the names are zip entries (adds the configured folders)
+ * @return {Promise<Array<string>>} Filenames, unique within the batch
+ */
+async function getDownloadFilenames(images, forZip) {
+  const response = await chrome.runtime.sendMessage({
+    action: 'getDownloadFilenames',
+    images: images.map(getFilenameInfo),
+    tabId: window.targetTabId,
+    zip: forZip
+  });
+  if (!response || !response.success) {
+    throw new Error(response ? response.error : 'Failed to build filenames');
+  }
+  return response.filenames;
+}
+
+/**
+ * Download an SVG image rasterized as PNG
+ * @param {Object} image Image information
+ * @param {number} scale Scale factor
+ */
+async function downloadSvgAsPng(image, scale) {
+  try {
+    await downloadImageFile(image, { convertFormat: 'png', svgRasterScale: scale });
+  } catch (error) {
+    console.error('Failed to rasterize SVG:', error);
+    alert('Download failed: ' + error.message);
+  }
+}
+
+/**
+ * Download all images (packaged as zip)
+ */
+async function downloadAllImages() {
+  if (!window.imagesData || window.imagesData.length === 0) {
+    alert('No images available for download');
+    return;
+  }
+  
+  const filteredImages = getFilteredImages();
+  
+  if (filteredImages.length === 0) {
+    alert('No images matching the filter criteria');
+    return;
+  }
+  
+  const edits = isTransformActive(window.zipTransform) ? ' with the detail view edits applied' : '';
+  if (!confirm(`Are you sure you want to download ${filteredImages.length} images as a zip file${edits}?`)) {
+    return;
+  }
+  
+  await downloadImagesAsZip(filteredImages, 'images-collection');
+}
+
+/**
+ * Fetch images and download them as a zip file, split into parts above the configured size
+ * @param {Array} images Images to add
+ * @param {string} zipName Zip file name prefix
+ */
+async function downloadImagesAsZip(images, zipName) {
+  if (window.downloadQueue) {
+    alert('Another download is still running');
+    return;
+  }
+  
+  try {
+    const settings = await chrome.runtime.sendMessage({ action: 'getSettings' });
+    // Name files by the format they'll be saved in
+    const filenames = await getDownloadFilenames(images.map((image) => {
+      const conversion = getConversion(image, settings, window.zipTransform);
+      return conversion ? { ...image, type: conversion.type } : image;
+    }), true);
+    const usedNames = new Set(filenames.map(name => name.toLowerCase()));
+    const tab = await chrome.tabs.get(window.targetTabId).catch(() => null);
+    const partLimit = settings.zipPartSizeMB > 0 ? settings.zipPartSizeMB * 1024 * 1024 : Infinity;
+    const baseName = `${zipName}-${Date.now()}`;
+    
+    // Full parts are written while the queue keeps fetching, one at a time
+    let part = createZipPart(1);
+    let partWrites = Promise.resolve();
+    const savePart = (zipPart, filename) => {
+      partWrites = partWrites.then(() => saveZipPart(zipPart, filename, settings.zipIncludeManifest ? tab : null));
+    };
+    
+    // Fetch images through the download queue and add them to the zip file
+    const queue = await runDownloadQueue(images, async (image, index, signal) => {
+      let blob = await fetchImageBlob(image, signal);
+      let filename = filenames[index];
+      let type = image.type;
+      if (reencodedBlobs.has(blob)) {
+        filename = renameZipEntry(filename, 'png', usedNames);
+        type = 'png';
+      }
+      let width = image.width || 0;
+      let height = image.height || 0;
+      const conversion = getConversion(image, settings, window.zipTransform);
+      if (conversion) {
+        try {
+          const converted = await convertImageBlob(blob, conversion, image.width, image.height);
+          blob = converted.blob;
+          type = conversion.type;
+          width = converted.width;
+          height = converted.height;
+        } catch (error) {
+          if (conversion.transform) {
+            throw new Error(`Could not apply the edits: ${error.message}`);
+          }
+          // Keep formats the browser can't decode (e.g. TIFF) as they are, named by their actual format
+          console.warn('Conversion failed, keeping original format:', image.src, error);
+          const extension = await getOriginalExtension(image, blob);
+          filename = renameZipEntry(filename, extension, usedNames);
+          type = extension || image.type;
+        }
+      }
+      let removedMetadata = [];
+      if (settings.stripMetadata) {
+        const stripped = await stripImageMetadata(blob);
+        blob = stripped.blob;
+        removedMetadata = stripped.removed;
+      }
+      const entry = settings.zipIncludeManifest ? {
+        file: filename,
+        url: getDownloadSrc(image),
+        pageUrl: image.frameUrl || (tab ? tab.url : ''),
+        alt: image.alt || '',
+        width: width,
+        height: height,
+        type: type,
+        bytes: blob.size,
+        sha256: await hashBlob(blob)
+      } : null;
+      
+      if (part.size > 0 && part.size + blob.size > partLimit) {
+        savePart(part, `${baseName}-part${part.number}.zip`);
+        part = createZipPart(part.number + 1);
+      }
+      // Images are already compressed; only deflate text formats
+      part.zip.file(filename, blob, { compression: type === 'svg' ? 'DEFLATE' : 'STORE' });
+      part.size += blob.size;
+      part.count++;
+      if (entry) {
+        part.entries.push(entry);
+      }
+      return { removedMetadata };
+    });
+    
+    const addedCount = queue.items.filter(item => item.status === 'done').length;
+    if (!queue.cancelled && part.count > 0) {
+      savePart(part, part.number > 1 ? `${baseName}-part${part.number}.zip` : `${baseName}.zip`);
+    }
+    await partWrites;
+    if (queue.cancelled || addedCount === 0) {
+      return;
+    }
+    
+    const failedCount = queue.items.length - addedCount;
+    const partsInfo = part.number > 1 ? ` in ${part.number} parts` : '';
+    setDownloadProgressText(`Zip downloaded${partsInfo}: ${addedCount} images added, ${failedCount} failed` +
+      describeQueueMetadataRemoval(queue));
+  } catch (error) {
+    console.error('Batch download failed:', error);
+    alert(`Download failed: ${error.message}`);
+  }
+}
+
+/**
+ * Get the file extension for an image saved in its original format: from the file's signature,
+ * then the listed type, then the URL
+ * @param {Object} image Image information
+ * @param {Blob} blob Image data
+ * @return {Promise<string>} Extension without the dot, empty when unknown
+ */
+async function getOriginalExtension(image, blob) {
+  const bytes = new Uint8Array(await blob.slice(0, 16).arrayBuffer());
+  const signatures = [
+    ['jpg', 0, '\xFF\xD8\xFF'],
+    ['png', 0, '\x89PNG'],
+    ['gif', 0, 'GIF8'],
+    ['webp', 8, 'WEBP'],
+    ['avif', 4, 'ftypavif'],
+    ['tiff', 0, 'II*\0'],
+    ['tiff', 0, 'MM\0*'],
+    ['bmp', 0, 'BM'],
+    ['ico', 0, '\0\0\x01\0']
+  ];
+  const signature = signatures.find(([, offset, text]) => bytesStartWith(bytes, offset, text));
+  if (signature) {
+    return signature[0];
+  }
+  // Text formats have no signature; data URL types are MIME subtypes such as svg+xml
+  const typeKey = getImageTypeKey(image.type).replace(/\+xml$/, '');
+  if (typeKey !== 'unknown' && /^\w{1,8}$/.test(typeKey)) {
+    return typeKey;
+  }
+  const urlMatch = getDownloadSrc(image).split(/[?#]/)[0].match(/[^/]\.(\w{1,8})$/);
+  return urlMatch ? urlMatch[1].toLowerCase() : '';
+}
+
+/**
+ * Give a zip entry a new extension, numbering it if the new name is already taken
+ * @param {string} filename Current entry name
+ * @param {string} extension New extension without the dot; empty drops the extension
+ * @param {Set<string>} usedNames Lowercased names already in the zip, updated with the result
+ * @return {string} Entry name
+ */
+function renameZipEntry(filename, extension, usedNames) {
+  const base = filename.replace(/([^/])\.\w{1,8}$/, '$1');
+  const suffix = extension ? `.${extension}` : '';
+  if (`${base}${suffix}`.toLowerCase() === filename.toLowerCase()) {
+    return filename;
+  }
+  let uniqueName = `${base}${suffix}`;
+  let counter = 2;
+  while (usedNames.has(uniqueName.toLowerCase())) {
+    uniqueName = `${base}-${counter}${suffix}`;
+    counter++;
+  }
+  usedNames.add(uniqueName.toLowerCase());
+  return uniqueName;
+}
+
+/**
+ * Check whether an image is an inline SVG listed by reference; its markup is only
+ * serialized by the page when it's previewed or downloaded
+ * @param {Object} image Image information
+ * @return {boolean} Whether the image is an inline SVG reference
+ */
+function isInlineSvgReference(image) {
+  return image.src.startsWith('inline-svg:');
+}
+
+/**
+ * Have the image's frame serialize an inline SVG
+ * @param {Object} image Image information
+ * @return {Promise<string>} SVG data URL
+ */
+async function getInlineSvgDataUrl(image) {
+  const response = await chrome.runtime.sendMessage({
+    action: 'getInlineSvgData',
+    tabId: window.targetTabId,
+    frameId: image.frameId,
+    src: image.src
+  });
+  if (!response || !response.success) {
+    throw new Error(response ? response.error : 'No response');
+  }
+  return response.dataUrl;
+}
+
+/**
+ * Show an inline SVG in a preview, serializing it once per listing
+ * (cards are rebuilt whenever an image's details update)
+ * @param {Object} image Image information
+ * @param {HTMLImageElement} imgPreview Preview element
+ */
+function loadInlineSvgPreview(image, imgPreview) {
+  window.inlineSvgPreviews = window.inlineSvgPreviews || new Map();
+  let preview = window.inlineSvgPreviews.get(image.src);
+  if (!preview) {
+    preview = getInlineSvgDataUrl(image);
+    window.inlineSvgPreviews.set(image.src, preview);
+    preview.catch(() => window.inlineSvgPreviews.delete(image.src));
+  }
+  preview.then((dataUrl) => {
+    imgPreview.src = dataUrl;
+  }).catch((error) => {
+    console.warn('Failed to serialize inline SVG:', error);
+    imgPreview.dispatchEvent(new Event('error'));
+  });
+}
+
+// Blobs the page re-encoded as PNG through a canvas; they are saved under a .png name
+const reencodedBlobs = new WeakSet();
+
+/**
+ * Fetch an image's bytes. The sidebar has host permissions, so it requests the image
+ * directly; only when that fails does it go through the background fetch service, which
+ * can get past hotlink protection and blocked requests
+ * @param {Object} image Image information
+ * @param {AbortSignal} [signal] Aborts the request
+ * @return {Promise<Blob>} Image data
+ */
+async function fetchImageBlob(image, signal) {
+  if (isInlineSvgReference(image)) {
+    return (await fetch(await getInlineSvgDataUrl(image))).blob();
+  }
+  const url = getDownloadSrc(image);
+  try {
+    const response = await fetch(url, { credentials: 'include', signal });
+    if (response.ok) {
+      return await response.blob();
+    }
+  } catch (error) {
+    if (signal && signal.aborted) {
+      throw error;
+    }
+  }
+  
+  const requestId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+  const abort = () => chrome.runtime.sendMessage({ action: 'abortFetch', requestId: requestId });
+  if (signal) {
+    signal.addEventListener('abort', abort);
+  }
+  
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'fetchImage',
+      url: url,
+      tabId: window.targetTabId,
+      frameId: image.frameId,
+      pageUrl: image.frameUrl,
+      requestId: requestId,
+      skipNetwork: true
+    });
+    if (signal && signal.aborted) {
+      throw new DOMException('Download aborted', 'AbortError');
+    }
+    if (!response || !response.success) {
+      throw new Error(response ? response.error : 'No response');
+    }
+    const blob = await (await fetch(response.dataUrl)).blob();
+    if (response.reencoded) {
+      reencodedBlobs.add(blob);
+    }
+    return blob;
+  } finally {
+    if (signal) {
+      signal.removeEventListener('abort', abort);
+    }
+  }
+}
+
+/**
+ * Hash every listed image and group exact and near duplicates
+ */
+async function findDuplicates() {
+  const button = document.getElementById('find-duplicates-btn');
+  const images = window.imagesData || [];
+  const pending = images.filter(image => !image.sha256);
+  let hashedCount = images.length - pending.length;
+  button.disabled = true;
+  
+  const worker = async () => {
+    while (pending.length > 0) {
+      const image = pending.shift();
+      try {
+        const blob = await fetchImageBlob(image);
+        image.sha256 = await hashBlob(blob);
+        image.dHash = await computeDifferenceHash(blob).catch(() => null);
+      } catch (error) {
+        console.warn('Failed to hash image:', image.src, error);
+      }
+      hashedCount++;
+      setDuplicatesStatus(`Hashing ${hashedCount}/${images.length}...`);
+    }
+  };
+  await Promise.all(Array.from({ length: 4 }, worker));
+  
+  const groupCount = assignDuplicateGroups(images);
+  const duplicateCount = images.filter(image => image.duplicateGroup).length - groupCount;
+  setDuplicatesStatus(groupCount > 0
+    ? `${groupCount} groups, ${duplicateCount} duplicates`
+    : 'No duplicates found');
+  document.getElementById('keep-largest-btn').disabled = groupCount === 0;
+  button.disabled = false;
+  
+  // Show the groups next to each other
+  if (groupCount > 0) {
+    document.getElementById('sort-order').value = 'duplicate-asc';
+  }
+  renderImages(images);
+}
+
+/**
+ * Compute a 64-bit difference hash (dHash): shrink to 9x8 grayscale and compare neighbouring pixels
+ * @param {Blob} blob Image data
+ * @return {Promise<string>} Hash as 16 hex digits
+ */
+async function computeDifferenceHash(blob) {
+  const url = URL.createObjectURL(blob);
+  try {
+    const img = new Image();
+    img.src = url;
+    await img.decode();
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = 9;
+    canvas.height = 8;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    // Transparent areas compare as white
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, 9, 8);
+    ctx.drawImage(img, 0, 0, 9, 8);
+    const pixels = ctx.getImageData(0, 0, 9, 8).data;
+    
+    const gray = (x, y) => {
+      const offset = (y * 9 + x) * 4;
+      return pixels[offset] * 0.299 + pixels[offset + 1] * 0.587 + pixels[offset + 2] * 0.114;
+    };
+    let hash = '';
+    for (let y = 0; y < 8; y++) {
+      let byte = 0;
+      for (let x = 0; x < 8; x++) {
+        byte = (byte << 1) | (gray(x, y) < gray(x + 1, y) ? 1 : 0);
+      }
+      hash += byte.toString(16).padStart(2, '0');
+    }
+    return hash;
+  } finally {
     URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Count the differing bits between two hex hashes
+ * @param {string} a Hash
+ * @param {string} b Hash
+ * @return {number} Hamming distance
+ */
+function getHammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let bits = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (bits) {
+      distance += bits & 1;
+      bits >>= 1;
+    }
+  }
+  return distance;
+}
+
+// Maximum dHash distance (of 64 bits) for two images to count as near duplicates
+const NEAR_DUPLICATE_DISTANCE = 5;
+
+/**
+ * Group images with identical bytes or near-identical difference hashes
+ * @param {Array} images Hashed images; duplicateGroup and duplicateKind are set on grouped ones
+ * @return {number} Number of groups
+ */
+function assignDuplicateGroups(images) {
+  // Union-find over image positions
+  const parents = images.map((image, index) => index);
+  const find = (index) => {
+    while (parents[index] !== index) {
+      parents[index] = parents[parents[index]];
+      index = parents[index];
+    }
+    return index;
+  };
+  
+  for (let i = 0; i < images.length; i++) {
+    for (let j = i + 1; j < images.length; j++) {
+      const a = images[i];
+      const b = images[j];
+      const exact = a.sha256 && a.sha256 === b.sha256;
+      // Flat images all hash to zero, so they aren't compared by look
+      const similar = a.dHash && b.dHash && !/^0+$/.test(a.dHash) &&
+        getHammingDistance(a.dHash, b.dHash) <= NEAR_DUPLICATE_DISTANCE;
+      if (exact || similar) {
+        parents[find(j)] = find(i);
+      }
+    }
+  }
+  
+  const members = new Map();
+  images.forEach((image, index) => {
+    const root = find(index);
+    if (!members.has(root)) {
+      members.set(root, []);
+    }
+    members.get(root).push(image);
+  });
+  
+  let groupCount = 0;
+  images.forEach((image) => {
+    delete image.duplicateGroup;
+    delete image.duplicateKind;
+  });
+  members.forEach((group) => {
+    if (group.length < 2) {
+      return;
+    }
+    groupCount++;
+    const exact = group.every(image => image.sha256 === group[0].sha256);
+    group.forEach((image) => {
+      image.duplicateGroup = groupCount;
+      image.duplicateKind = exact ? 'exact' : 'similar';
+    });
+  });
+  return groupCount;
+}
+
+/**
+ * Remove every duplicate except the largest image of each group from the list
+ */
+function keepLargestDuplicates() {
+  const images = window.imagesData || [];
+  const largest = new Map();
+  images.forEach((image) => {
+    if (!image.duplicateGroup) {
+      return;
+    }
+    const current = largest.get(image.duplicateGroup);
+    const area = image.width * image.height || 0;
+    const currentArea = current ? current.width * current.height || 0 : -1;
+    if (!current || area > currentArea || (area === currentArea && (image.byteSize || 0) > (current.byteSize || 0))) {
+      largest.set(image.duplicateGroup, image);
+    }
+  });
+  
+  const removedCount = images.filter(image => image.duplicateGroup && largest.get(image.duplicateGroup) !== image).length;
+  window.imagesData = images.filter(image => !image.duplicateGroup || largest.get(image.duplicateGroup) === image);
+  window.imagesData.forEach((image) => {
+    delete image.duplicateGroup;
+    delete image.duplicateKind;
+  });
+  setSelection(Array.from(window.selectedImages || []).filter(src => window.imagesData.some(image => image.src === src)));
+  
+  renderImages(window.imagesData);
+  document.getElementById('keep-largest-btn').disabled = true;
+  setDuplicatesStatus(`Removed ${removedCount} smaller duplicates`);
+}
+
+/**
+ * Set the duplicates row's status text
+ * @param {string} text Status text
+ */
+function setDuplicatesStatus(text) {
+  document.getElementById('duplicates-status').textContent = text;
+}
+
+/**
+ * Open the detail view with the resize, crop, rotate and flip tools for an image
+ * @param {Object} image Image information
+ */
+async function openImageDetail(image) {
+  closeDetailSource();
+  window.detailImage = image;
+  document.getElementById('detail-title').textContent = image.alt || image.name ||
+    getDownloadSrc(image).split(/[?#]/)[0].split('/').pop() || 'Image';
+  // Reopening the view shows the edits already applied to zip downloads
+  setDetailTransform(window.zipTransform);
+  document.getElementById('detail-zip-toggle').checked = Boolean(window.zipTransform);
+  document.getElementById('detail-download-btn').disabled = true;
+  document.getElementById('detail-view').classList.remove('hidden');
+  renderDetailInfo(image);
+  loadDetailElementInfo(image);
+  loadDetailMetadata(image);
+  setDetailStatus('Loading image...');
+  
+  try {
+    const [settings, blob] = await Promise.all([
+      chrome.runtime.sendMessage({ action: 'getSettings' }),
+      fetchImageBlob(image)
+    ]);
+    const source = await decodeImageBlob(blob);
+    // Another image may have been opened while this one loaded
+    if (window.detailImage !== image) {
+      if (source.close) {
+        source.close();
+      }
+      return;
+    }
+    window.detailSettings = settings;
+    window.detailSource = source;
+    document.getElementById('detail-download-btn').disabled = false;
+    updateDetailPreview();
+  } catch (error) {
+    console.error('Failed to load image for editing:', error);
+    if (window.detailImage === image) {
+      setDetailStatus('Failed to load image: ' + error.message);
+    }
+  }
+}
+
+/**
+ * Close the detail view
+ */
+function closeImageDetail() {
+  closeDetailSource();
+  window.detailImage = null;
+  document.getElementById('detail-view').classList.add('hidden');
+}
+
+/**
+ * Release the decoded image shown in the detail view
+ */
+function closeDetailSource() {
+  if (window.detailSource && window.detailSource.close) {
+    window.detailSource.close();
+  }
+  window.detailSource = null;
+}
+
+/**
+ * Read the detail view's edit controls
+ * @return {Object} Transform (resizeMode, resizeValue, resizeWidth, resizeHeight, cropAspect, rotate, flipH, flipV)
+ */
+function getDetailTransform() {
+  const readNumber = (id) => parseFloat(document.getElementById(id).value) || 0;
+  return {
+    resizeMode: document.getElementById('detail-resize-mode').value,
+    resizeValue: readNumber('detail-resize-value'),
+    resizeWidth: readNumber('detail-resize-width'),
+    resizeHeight: readNumber('detail-resize-height'),
+    cropAspect: document.getElementById('detail-crop-aspect').value,
+    rotate: window.detailRotate || 0,
+    flipH: document.getElementById('detail-flip-h').checked,
+    flipV: document.getElementById('detail-flip-v').checked
+  };
+}
+
+/**
+ * Fill the detail view's edit controls
+ * @param {Object|null} transform Transform to show, or null to clear all edits
+ */
+function setDetailTransform(transform) {
+  const edits = transform || {};
+  document.getElementById('detail-resize-mode').value = edits.resizeMode || 'none';
+  document.getElementById('detail-resize-value').value = edits.resizeValue || '';
+  document.getElementById('detail-resize-width').value = edits.resizeWidth || '';
+  document.getElementById('detail-resize-height').value = edits.resizeHeight || '';
+  document.getElementById('detail-crop-aspect').value = edits.cropAspect || 'none';
+  document.getElementById('detail-flip-h').checked = Boolean(edits.flipH);
+  document.getElementById('detail-flip-v').checked = Boolean(edits.flipV);
+  window.detailRotate = edits.rotate || 0;
+  updateDetailPreview();
+}
+
+/**
+ * Rotate the detail view's image by a quarter turn
+ * @param {number} degrees -90 or 90
+ */
+function rotateDetailImage(degrees) {
+  window.detailRotate = ((window.detailRotate || 0) + degrees + 360) % 360;
+  updateDetailPreview();
+}
+
+/**
+ * Redraw the detail view's preview and keep the zip edits in sync with the controls
+ */
+function updateDetailPreview() {
+  const transform = getDetailTransform();
+  const mode = transform.resizeMode;
+  document.getElementById('detail-resize-value').classList.toggle('hidden', mode !== 'max' && mode !== 'percent');
+  document.getElementById('detail-resize-value').placeholder = mode === 'percent' ? '%' : 'px';
+  document.getElementById('detail-resize-width').classList.toggle('hidden', mode !== 'exact');
+  document.getElementById('detail-resize-height').classList.toggle('hidden', mode !== 'exact');
+  document.getElementById('detail-rotate-value').textContent = `${transform.rotate}°`;
+  
+  window.zipTransform = document.getElementById('detail-zip-toggle').checked && isTransformActive(transform)
+    ? transform
+    : null;
+  
+  const image = window.detailImage;
+  const source = window.detailSource;
+  if (!image || !source) {
+    return;
+  }
+  const conversion = getConversion(image, window.detailSettings, transform) || { scale: 1 };
+  const output = getRenderLayout(source, conversion, image.width, image.height).size;
+  
+  // Render only as many pixels as the panel shows; the full size is drawn on download
+  const panel = document.querySelector('.detail-preview');
+  const ratio = window.devicePixelRatio || 1;
+  const maxWidth = (panel.clientWidth > 32 ? panel.clientWidth - 32 : 300) * ratio;
+  const maxHeight = 280 * ratio;
+  const displayScale = Math.min(1, maxWidth / output.width, maxHeight / output.height);
+  const canvas = renderImageCanvas(source, conversion, image.width, image.height, displayScale);
+  const preview = document.getElementById('detail-canvas');
+  preview.width = canvas.width;
+  preview.height = canvas.height;
+  preview.getContext('2d').drawImage(canvas, 0, 0);
+  
+  const format = conversion.type ? conversion.type.toUpperCase() : (image.type || '').toUpperCase();
+  setDetailStatus(`Output: ${output.width} × ${output.height}${format ? ' ' + format : ''}`);
+}
+
+/**
+ * Download the detail view's image with its edits applied
+ */
+async function downloadDetailImage() {
+  const image = window.detailImage;
+  if (!image) {
+    return;
+  }
+  try {
+    const result = await downloadImageFile(image, window.detailSettings, getDetailTransform());
+    if (result.removedMetadata.length > 0) {
+      setDetailStatus(`Downloaded without metadata (removed ${result.removedMetadata.join(', ')})`);
+    }
+  } catch (error) {
+    console.error('Failed to download image:', error);
+    alert('Download failed: ' + error.message);
+  }
+}
+
+// Names for the EXIF orientation values
+const ORIENTATION_LABELS = {
+  1: 'Normal',
+  2: 'Flipped horizontally',
+  3: 'Rotated 180°',
+  4: 'Flipped vertically',
+  5: 'Rotated 90° CCW and flipped',
+  6: 'Rotated 90° CW',
+  7: 'Rotated 90° CW and flipped',
+  8: 'Rotated 90° CCW'
+};
+
+/**
+ * Fill the detail view's information list and metadata section
+ * @param {Object} image Image information
+ */
+function renderDetailInfo(image) {
+  const formatSize = (width, height) => (width > 0 && height > 0 ? `${width} × ${height}` : '');
+  const downloadSrc = getDownloadSrc(image);
+  const source = [image.elementType, describeImageOrigin(image)].filter(Boolean).join(' · ');
+  
+  fillDetailList(document.getElementById('detail-info-list'), [
+    ['URL', image.src],
+    ['Original URL', image.originalSrc],
+    ['Download URL', downloadSrc !== getFetchSrc(image) ? downloadSrc : ''],
+    ['Source', source],
+    ['Selector', image.elementSelector || image.selector],
+    ['Alt', image.alt],
+    ['Title', image.title],
+    ['Natural size', formatSize(image.width, image.height)],
+    ['Rendered size', formatSize(image.renderedWidth, image.renderedHeight)],
+    ['File size', image.byteSize !== undefined ? describeTransferInfo(image) : ''],
+    ['MIME type', image.contentType],
+    ['Format', [image.type && image.type !== 'unknown' ? image.type.toUpperCase() : '', describeHeaderMetadata(image)]
+      .filter(Boolean).join(', ')]
+  ]);
+  
+  const metadataSection = document.getElementById('detail-metadata');
+  metadataSection.innerHTML = '';
+  if (image.metadataError) {
+    metadataSection.textContent = `Metadata unavailable: ${image.metadataError}`;
+  } else if (image.metadata === undefined) {
+    metadataSection.textContent = image.type === 'svg' ? 'SVG images carry no EXIF, XMP or IPTC metadata' : 'Reading metadata...';
+  } else if (!image.metadata) {
+    metadataSection.textContent = 'No EXIF, XMP or IPTC metadata found';
+  } else {
+    for (const [heading, rows] of describeImageMetadata(image.metadata)) {
+      const title = document.createElement('h4');
+      title.textContent = heading;
+      const list = document.createElement('dl');
+      fillDetailList(list, rows);
+      metadataSection.appendChild(title);
+      metadataSection.appendChild(list);
+    }
+  }
+}
+
+/**
+ * Fill a definition list, skipping empty values
+ * @param {HTMLElement} list The <dl> element
+ * @param {Array<Array>} rows [label, value] pairs
+ */
+function fillDetailList(list, rows) {
+  list.innerHTML = '';
+  for (const [label, value] of rows) {
+    if (value === undefined || value === null || value === '') {
+      continue;
+    }
+    const term = document.createElement('dt');
+    term.textContent = label;
+    const definition = document.createElement('dd');
+    definition.textContent = value;
+    list.appendChild(term);
+    list.appendChild(definition);
+  }
+}
+
+/**
+ * Group parsed metadata into labelled rows
+ * @param {Object} metadata Metadata with exif, gps, iptc and xmp parts
+ * @return {Array<Array>} [heading, rows] pairs for the parts that have values
+ */
+function describeImageMetadata(metadata) {
+  const groups = [];
+  const join = (...values) => values.filter(Boolean).join(', ');
+  
+  const exif = metadata.exif;
+  if (exif) {
+    // Models often repeat the make ("Canon" / "Canon EOS R5")
+    const camera = exif.model && exif.make && exif.model.startsWith(exif.make)
+      ? exif.model
+      : [exif.make, exif.model].filter(Boolean).join(' ');
+    let exposure = '';
+    if (exif.exposureTime) {
+      exposure = exif.exposureTime < 1 ? `1/${Math.round(1 / exif.exposureTime)} s` : `${exif.exposureTime} s`;
+    }
+    const settings = [
+      exposure,
+      exif.fNumber ? `f/${Math.round(exif.fNumber * 10) / 10}` : '',
+      exif.iso ? `ISO ${exif.iso}` : '',
+      exif.focalLength ? `${Math.round(exif.focalLength * 10) / 10} mm` : '',
+      exif.focalLength35mm ? `(${exif.focalLength35mm} mm equiv.)` : ''
+    ].filter(Boolean).join(' ');
+    groups.push(['EXIF', [
+      ['Camera', camera],
+      ['Lens', exif.lensModel || exif.lensMake],
+      ['Settings', settings],
+      ['Taken', exif.dateTaken || exif.modifyDate],
+      ['Orientation', exif.orientation ? ORIENTATION_LABELS[exif.orientation] || exif.orientation : ''],
+      ['Artist', exif.artist],
+      ['Copyright', exif.copyright],
+      ['Description', exif.description],
+      ['Software', exif.software]
+    ]]);
+  }
+  
+  const gps = metadata.gps;
+  if (gps) {
+    groups.push(['GPS', [
+      ['Location', gps.latitude !== undefined ? `${gps.latitude}, ${gps.longitude}` : ''],
+      ['Altitude', gps.altitude !== undefined ? `${gps.altitude} m` : '']
+    ]]);
+  }
+  
+  const iptc = metadata.iptc;
+  if (iptc) {
+    groups.push(['IPTC', [
+      ['Title', iptc.title],
+      ['Headline', iptc.headline],
+      ['Caption', iptc.caption],
+      ['By-line', iptc.byline],
+      ['Credit', join(iptc.credit, iptc.source)],
+      ['Copyright', iptc.copyright],
+      ['Keywords', (iptc.keywords || []).join(', ')],
+      ['Location', join(iptc.city, iptc.province, iptc.country)]
+    ]]);
+  }
+  
+  const xmp = metadata.xmp;
+  if (xmp) {
+    groups.push(['XMP', [
+      ['Title', xmp.title],
+      ['Creator', xmp.creator],
+      ['Description', xmp.description],
+      ['Rights', xmp.rights],
+      ['Usage terms', xmp.usageTerms],
+      ['Web statement', xmp.webStatement],
+      ['Credit', xmp.credit],
+      ['Keywords', xmp.subject],
+      ['Location', join(xmp.city, xmp.country)],
+      ['Created', xmp.createDate],
+      ['Creator tool', xmp.creatorTool]
+    ]]);
+  }
+  
+  return groups;
+}
+
+/**
+ * Read the selector and current rendered size of an image's source element from its frame
+ * @param {Object} image Image information
+ */
+async function loadDetailElementInfo(image) {
+  if (!image.elementId) {
+    return;
+  }
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'getImageElementInfo',
+      tabId: window.targetTabId,
+      frameId: image.frameId,
+      elementId: image.elementId,
+      src: image.src
+    });
+    if (!response || !response.found) {
+      return;
+    }
+    image.elementSelector = response.selector;
+    image.renderedWidth = response.renderedWidth;
+    image.renderedHeight = response.renderedHeight;
+  } catch (error) {
+    console.warn('Failed to read image element info:', error);
+    return;
+  }
+  if (window.detailImage === image) {
+    renderDetailInfo(image);
+  }
+}
+
+/**
+ * Read an image's EXIF, XMP and IPTC metadata through the content script of its frame
+ * @param {Object} image Image information
+ */
+async function loadDetailMetadata(image) {
+  if (image.metadata !== undefined || image.type === 'svg') {
+    return;
+  }
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'getImageHeader',
+      url: getDownloadSrc(image),
+      tabId: window.targetTabId,
+      frameId: image.frameId
+    });
+    if (!response || !response.success) {
+      throw new Error(response ? response.error : 'No response');
+    }
+    const header = response.header || {};
+    image.metadata = header.metadata || null;
+    delete image.metadataError;
+    // Fill in format details the listing didn't have
+    for (const key of ['bitDepth', 'colorType', 'frameCount', 'frameCountPartial', 'orientation']) {
+      if (image[key] === undefined && header[key] !== undefined) {
+        image[key] = header[key];
+      }
+    }
+  } catch (error) {
+    console.warn('Failed to read image metadata:', error);
+    image.metadataError = error.message;
+  }
+  if (window.detailImage === image) {
+    renderDetailInfo(image);
+  }
+}
+
+/**
+ * Set the detail view's status text
+ * @param {string} text Status text
+ */
+function setDetailStatus(text) {
+  document.getElementById('detail-status').textContent = text;
+}
+
+/**
+ * Create an empty zip part
+ * @param {number} number Part number, starting at 1
+ * @return {Object} Zip part with its JSZip instance, byte size, file count and manifest entries
+ */
+function createZipPart(number) {
+  return { number, zip: new JSZip(), size: 0, count: 0, entries: [] };
+}
+
+/**
+ * Write a zip part and download it
+ * @param {Object} zipPart Zip part
+ * @param {string} filename Zip file name
+ * @param {Object|null} tab Tab the images came from; when given, manifest.json and index.csv are added
+ */
+async function saveZipPart(zipPart, filename, tab) {
+  // List every file in the archive
+  if (tab) {
+    zipPart.zip.file('manifest.json', JSON.stringify({
+      pageUrl: tab.url,
+      pageTitle: tab.title,
+      createdAt: new Date().toISOString(),
+      part: zipPart.number,
+      images: zipPart.entries
+    }, null, 2), { compression: 'DEFLATE' });
+    zipPart.zip.file('index.csv', buildIndexCsv(zipPart.entries), { compression: 'DEFLATE' });
+  }
+  
+  const zipBlob = await generateZipBlob(zipPart.zip, (percent) => {
+    if (!window.downloadQueue) {
+      setDownloadProgressText(`Writing ${filename}... ${Math.floor(percent)}%`);
+    }
+  });
+  // Drop the part's file references so their data can be released
+  zipPart.zip = null;
+  
+  // Create download link
+  const url = URL.createObjectURL(zipBlob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Generate a zip file as a stream, collecting the output in blobs instead of one large buffer
+ * @param {JSZip} zip Zip to generate
+ * @param {Function} onProgress Called with the percentage written
+ * @return {Promise<Blob>} Zip file
+ */
+function generateZipBlob(zip, onProgress) {
+  // Flush the streamed chunks into a blob every 8 MB so the browser can keep them out of memory
+  const flushSize = 8 * 1024 * 1024;
+  return new Promise((resolve, reject) => {
+    const blobs = [];
+    let chunks = [];
+    let chunkBytes = 0;
+    
+    zip.generateInternalStream({ type: 'uint8array', streamFiles: true })
+      .on('data', (data, metadata) => {
+        chunks.push(data);
+        chunkBytes += data.length;
+        if (chunkBytes >= flushSize) {
+          blobs.push(new Blob(chunks));
+          chunks = [];
+          chunkBytes = 0;
+        }
+        onProgress(metadata.percent);
+      })
+      .on('error', reject)
+      .on('end', () => {
+        blobs.push(new Blob(chunks));
+        resolve(new Blob(blobs, { type: 'application/zip' }));
+      })
+      .resume();
+  });
+}
+
+/**
+ * Run a task for each image through the download queue, showing progress in the sidebar.
+ * At most downloadConcurrency tasks run at once and at most downloadPerHostLimit per host;
+ * failed tasks are retried with exponential backoff.
+ * @param {Array} images Images to process
+ * @param {Function} task Async function (image, index, signal) run for each image
+ * @return {Promise<Object>} Finished queue, with status and result on each item
+ */
+async function runDownloadQueue(images, task) {
+  const settings = await chrome.runtime.sendMessage({ action: 'getSettings' });
+  const queue = {
+    items: images.map((image, index) => ({
+      image,
+      index,
+      host: getQueueHost(image),
+      status: 'pending',
+      attempts: 0
+    })),
+    task: task,
+    concurrency: Math.max(1, settings.downloadConcurrency || 1),
+    perHostLimit: Math.max(1, settings.downloadPerHostLimit || 1),
+    maxRetries: Math.max(0, settings.downloadRetries || 0),
+    running: new Map(),
+    paused: false,
+    cancelled: false
+  };
+  
+  window.downloadQueue = queue;
+  showDownloadProgress(queue);
+  await new Promise((resolve) => {
+    queue.onFinish = resolve;
+    pumpDownloadQueue(queue);
+  });
+  window.downloadQueue = null;
+  finishDownloadProgress(queue);
+  return queue;
+}
+
+/**
+ * Start as many pending items as the concurrency and per-host limits allow
+ * @param {Object} queue Download queue
+ */
+function pumpDownloadQueue(queue) {
+  if (!queue.paused && !queue.cancelled) {
+    const hostCounts = new Map();
+    queue.running.forEach((controller, item) => {
+      hostCounts.set(item.host, (hostCounts.get(item.host) || 0) + 1);
+    });
     
-    alert(`Download completed! Successfully added ${successCount} images to zip file, failed ${errorCount} images.`);
+    for (const item of queue.items) {
+      if (queue.running.size >= queue.concurrency) {
+        break;
+      }
+      const hostCount = hostCounts.get(item.host) || 0;
+      if (item.status !== 'pending' || hostCount >= queue.perHostLimit) {
+        continue;
+      }
+      hostCounts.set(item.host, hostCount + 1);
+      runQueueItem(queue, item);
+    }
+  }
+  
+  updateDownloadProgress(queue);
+  if (queue.items.every(item => ['done', 'failed', 'cancelled'].includes(item.status))) {
+    queue.onFinish();
+  }
+}
+
+/**
+ * Run one queue item, retrying it with backoff when it fails
+ * @param {Object} queue Download queue
+ * @param {Object} item Queue item
+ */
+async function runQueueItem(queue, item) {
+  const controller = new AbortController();
+  queue.running.set(item, controller);
+  item.status = 'active';
+  item.attempts++;
+  updateQueueItemStatus(item);
+  
+  try {
+    item.result = await queue.task(item.image, item.index, controller.signal);
+    item.status = 'done';
   } catch (error) {
-    console.error('Batch download failed:', error);
-    alert(`Download failed: ${error.message}`);
+    if (controller.signal.aborted) {
+      // Paused items go back to the queue without using up an attempt
+      item.status = queue.cancelled ? 'cancelled' : 'pending';
+      item.attempts--;
+    } else if (item.attempts <= queue.maxRetries) {
+      item.status = 'retrying';
+      item.error = error.message;
+      const delay = 500 * 2 ** (item.attempts - 1);
+      setTimeout(() => {
+        if (item.status === 'retrying') {
+          item.status = 'pending';
+          pumpDownloadQueue(queue);
+        }
+      }, delay);
+    } else {
+      console.error('Download failed:', item.image.src, error);
+      item.status = 'failed';
+      item.error = error.message;
+    }
+  } finally {
+    queue.running.delete(item);
+  }
+  
+  updateQueueItemStatus(item);
+  pumpDownloadQueue(queue);
+}
+
+/**
+ * Pause the running queue, aborting in-flight fetches, or resume it
+ */
+function toggleDownloadPause() {
+  const queue = window.downloadQueue;
+  if (!queue) {
+    return;
+  }
+  queue.paused = !queue.paused;
+  if (queue.paused) {
+    queue.running.forEach(controller => controller.abort());
+  }
+  pumpDownloadQueue(queue);
+}
+
+/**
+ * Cancel the running queue, aborting in-flight fetches
+ */
+function cancelDownloadQueue() {
+  const queue = window.downloadQueue;
+  if (!queue) {
+    return;
+  }
+  queue.cancelled = true;
+  queue.items.forEach((item) => {
+    if (item.status === 'pending' || item.status === 'retrying') {
+      item.status = 'cancelled';
+      updateQueueItemStatus(item);
+    }
+  });
+  queue.running.forEach(controller => controller.abort());
+  pumpDownloadQueue(queue);
+}
+
+/**
+ * Get the host used for per-host limits
+ * @param {Object} image Image information
+ * @return {string} Host, or "inline" for data URLs
+ */
+function getQueueHost(image) {
+  try {
+    return new URL(getDownloadSrc(image)).host || 'inline';
+  } catch (error) {
+    return 'inline';
+  }
+}
+
+/**
+ * Show the progress panel with one row per queue item
+ * @param {Object} queue Download queue
+ */
+function showDownloadProgress(queue) {
+  const list = document.getElementById('download-progress-list');
+  list.innerHTML = '';
+  queue.items.forEach((item) => {
+    const row = document.createElement('li');
+    const name = document.createElement('span');
+    name.className = 'download-item-name';
+    name.textContent = getDownloadSrc(item.image).startsWith('data:') || isInlineSvgReference(item.image)
+      ? `inline image ${item.index + 1}`
+      : getDownloadSrc(item.image).split(/[?#]/)[0].split('/').pop() || item.host;
+    name.title = getDownloadSrc(item.image);
+    const status = document.createElement('span');
+    status.className = 'download-item-status';
+    row.appendChild(name);
+    row.appendChild(status);
+    list.appendChild(row);
+    item.element = row;
+    updateQueueItemStatus(item);
+  });
+  
+  document.getElementById('download-pause-btn').classList.remove('hidden');
+  document.getElementById('download-cancel-btn').classList.remove('hidden');
+  document.getElementById('download-close-btn').classList.add('hidden');
+  document.getElementById('download-progress').classList.remove('hidden');
+}
+
+/**
+ * Update a queue item's row
+ * @param {Object} item Queue item
+ */
+function updateQueueItemStatus(item) {
+  if (!item.element) {
+    return;
+  }
+  const labels = {
+    pending: 'Waiting',
+    active: item.attempts > 1 ? `Downloading (attempt ${item.attempts})` : 'Downloading',
+    retrying: 'Retrying...',
+    done: 'Done',
+    failed: 'Failed',
+    cancelled: 'Cancelled'
+  };
+  item.element.dataset.status = item.status;
+  const status = item.element.querySelector('.download-item-status');
+  status.textContent = labels[item.status];
+  status.title = item.error || '';
+  if (item.status === 'done' && item.result && item.result.removedMetadata && item.result.removedMetadata.length > 0) {
+    status.title = `Metadata removed: ${item.result.removedMetadata.join(', ')}`;
+  }
+}
+
+/**
+ * Update the progress bar and summary line
+ * @param {Object} queue Download queue
+ */
+function updateDownloadProgress(queue) {
+  const total = queue.items.length;
+  const counts = { done: 0, failed: 0, cancelled: 0 };
+  queue.items.forEach((item) => {
+    if (item.status in counts) {
+      counts[item.status]++;
+    }
+  });
+  const finished = counts.done + counts.failed + counts.cancelled;
+  
+  const progressBar = document.getElementById('download-progress-bar');
+  progressBar.max = Math.max(total, 1);
+  progressBar.value = finished;
+  
+  let text = `${queue.paused ? 'Paused' : 'Downloading'} ${finished}/${total}`;
+  if (counts.failed > 0) {
+    text += ` (${counts.failed} failed)`;
+  }
+  setDownloadProgressText(text);
+  document.getElementById('download-pause-btn').textContent = queue.paused ? 'Resume' : 'Pause';
+}
+
+/**
+ * Show the final summary and swap the queue controls for a close button
+ * @param {Object} queue Finished download queue
+ */
+function finishDownloadProgress(queue) {
+  const count = status => queue.items.filter(item => item.status === status).length;
+  setDownloadProgressText((queue.cancelled
+    ? `Cancelled: ${count('done')} downloaded, ${count('cancelled')} cancelled`
+    : `Finished: ${count('done')} downloaded, ${count('failed')} failed`) + describeQueueMetadataRemoval(queue));
+  
+  document.getElementById('download-pause-btn').classList.add('hidden');
+  document.getElementById('download-cancel-btn').classList.add('hidden');
+  document.getElementById('download-close-btn').classList.remove('hidden');
+}
+
+/**
+ * Summarize the metadata removed across a queue's downloads
+ * @param {Object} queue Download queue
+ * @return {string} Summary to append to the progress text, empty when nothing was removed
+ */
+function describeQueueMetadataRemoval(queue) {
+  const counts = new Map();
+  let fileCount = 0;
+  queue.items.forEach((item) => {
+    const removed = item.status === 'done' && item.result ? item.result.removedMetadata || [] : [];
+    if (removed.length > 0) {
+      fileCount++;
+    }
+    removed.forEach(kind => counts.set(kind, (counts.get(kind) || 0) + 1));
+  });
+  if (fileCount === 0) {
+    return '';
   }
+  const kinds = Array.from(counts, ([kind, count]) => `${kind} ×${count}`).join(', ');
+  return `; metadata removed from ${fileCount} ${fileCount === 1 ? 'file' : 'files'} (${kinds})`;
+}
+
+/**
+ * Show a one-off message in the progress panel
+ * @param {string} text Message
+ */
+function showDownloadSummary(text) {
+  document.getElementById('download-progress-list').innerHTML = '';
+  const progressBar = document.getElementById('download-progress-bar');
+  progressBar.max = 1;
+  progressBar.value = 1;
+  setDownloadProgressText(text);
+  document.getElementById('download-pause-btn').classList.add('hidden');
+  document.getElementById('download-cancel-btn').classList.add('hidden');
+  document.getElementById('download-close-btn').classList.remove('hidden');
+  document.getElementById('download-progress').classList.remove('hidden');
+}
+
+/**
+ * Set the progress panel's summary line
+ * @param {string} text Summary text
+ */
+function setDownloadProgressText(text) {
+  document.getElementById('download-progress-text').textContent = text;
+}
+
+/**
+ * Compute the SHA-256 hash of a blob
+ * @param {Blob} blob Data to hash
+ * @return {Promise<string>} Lowercase hex digest
+ */
+async function hashBlob(blob) {
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Build the index.csv listing for a zip archive
+ * @param {Array<Object>} entries Manifest entries
+ * @return {string} CSV text with a header row
+ */
+function buildIndexCsv(entries) {
+  const columns = ['file', 'url', 'pageUrl', 'alt', 'width', 'height', 'type', 'bytes', 'sha256'];
+  const escapeCsv = (value) => {
+    let text = String(value === undefined || value === null ? '' : value);
+    // Page-controlled text (alt, URLs) must not be read as a spreadsheet formula
+    if (/^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const rows = entries.map(entry => columns.map(column => escapeCsv(entry[column])).join(','));
+  return [columns.join(','), ...rows].join('\r\n') + '\r\n';
 }
 
 // Initialize sidebar